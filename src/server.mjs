@@ -0,0 +1,8122 @@
+import 'dotenv/config';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import { createWriteStream, readFileSync } from 'node:fs';
+import { mkdir, open, readFile, realpath, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { homedir } from 'node:os';
+import { pathToFileURL } from 'node:url';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { Readable, Transform } from 'node:stream';
+import { deflateRawSync, deflateSync, inflateRawSync } from 'node:zlib';
+import { pipeline } from 'node:stream/promises';
+
+const SERVER_INFO = {
+  name: 'mimi-panda-mcp-server',
+  version: '1.1.0',
+  description: 'Model Context Protocol (MCP) server for interacting with the Mimi Panda Artist API'
+};
+
+const MAX_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_INLINE_BYTES = 1024 * 1024;
+const DEFAULT_THUMBNAIL_SIZE = 512;
+const DEFAULT_MAX_RETRIES = 2;
+const MAX_RETRIES = 10;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const DESTRUCTIVE_METHODS = ['PUT', 'PATCH', 'DELETE'];
+const CONFIRM_CATEGORIES = ['destructive', 'credits'];
+const DEFAULT_HTTP_PORT = 3000;
+const DEFAULT_HTTP_SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_HTTP_SESSION_SWEEP_MS = 60 * 1000;
+const MAX_JOB_HISTORY = 1000;
+const DEFAULT_JOB_LIST_LIMIT = 20;
+const DISABLED_ENV_VALUES = ['off', 'false', 'none', '0'];
+const ENABLED_ENV_VALUES = ['on', 'true', 'yes', '1'];
+const CREDIT_OVER_BUDGET_MODES = ['confirm', 'refuse'];
+// Credits charged per request, keyed by "METHOD path" or tool name. MCP_CREDIT_COSTS overrides entries to match your plan.
+const DEFAULT_CREDIT_COSTS = {
+  'POST service/coloring': 1,
+  'POST service/pbn': 1,
+  'POST service/ai/coloring': 1,
+  'POST service/ai/name-coloring': 1,
+  'POST service/ai/image': 1,
+  'POST service/image/upscale': 1,
+  'POST service/image/filter': 1
+};
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+const TRANSPORTS = ['stdio', 'http'];
+const DEFAULT_MOCK_STEP_MS = 1500;
+const MOCK_API_TOKEN = 'mock-token';
+const MOCK_CREDENTIALS = { email: 'demo@mimipanda.test', password: 'demo' };
+// Any text field containing this marker makes the mock item end as "failed".
+const MOCK_FAILURE_MARKER = 'mock:fail';
+const MOCK_PALETTE = [
+  ['1', 'Titanium White', 'f4f1ea', 24],
+  ['2', 'Lamp Black', '26231f', 6],
+  ['3', 'Cadmium Red', 'c8302c', 9],
+  ['4', 'Cadmium Yellow', 'f2c230', 11],
+  ['5', 'Ultramarine Blue', '2f4a9a', 14],
+  ['6', 'Sap Green', '4f7a3a', 13],
+  ['7', 'Burnt Sienna', '8a4b2a', 8],
+  ['8', 'Sky Blue', '8fc1e3', 15]
+];
+// 8x8 JPEG served for the png/pngshort color charts, which the API renders as JPEG.
+const MOCK_JPEG_BASE64 =
+  '/9j/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARESEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wAARCAAIAAgDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFQEBAQAAAAAAAAAAAAAAAAAABAX/xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oADAMBAAIRAxEAPwCmASTX/9k=';
+const MAX_ITEM_IMAGES = 4;
+const MAX_IMAGE_FETCH_BYTES = 25 * 1024 * 1024;
+const RENDERABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const RESOURCE_URI_SCHEME = 'mimipanda';
+const MAX_RESOURCE_BYTES = 25 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 256;
+const DEFAULT_TIMEOUT_MS = clampTimeout(
+  Number.parseInt(process.env.MCP_API_TIMEOUT ?? '60000', 10)
+);
+
+const CONFIG = {
+  baseUrl: normalizeBaseUrl(
+    process.env.MCP_API_BASE_URL ?? process.env.APP_URL ?? 'http://localhost'
+  ),
+  apiPrefix: normalizeApiPrefix(process.env.MCP_API_PREFIX ?? '/api'),
+  defaultToken: sanitizeEnvString(process.env.MCP_API_TOKEN),
+  profileTokens: parseHeaderRecord(process.env.MCP_API_PROFILES, 'MCP_API_PROFILES'),
+  timeoutMs: DEFAULT_TIMEOUT_MS,
+  maxRetries: parseRetryCount(process.env.MCP_API_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+  defaultHeaders: parseHeaderRecord(process.env.MCP_API_HEADERS),
+  downloadDir: sanitizeEnvString(process.env.MCP_DOWNLOAD_DIR),
+  maxInlineBytes: parsePositiveInteger(process.env.MCP_MAX_INLINE_BYTES, DEFAULT_MAX_INLINE_BYTES),
+  thumbnailSize: parsePositiveInteger(process.env.MCP_THUMBNAIL_SIZE, DEFAULT_THUMBNAIL_SIZE),
+  jobHistoryFile: resolveStateFile(process.env.MCP_JOB_HISTORY_FILE, 'jobs.json'),
+  transport: sanitizeEnvString(process.env.MCP_TRANSPORT)?.toLowerCase() ?? 'stdio',
+  openApiSpec: sanitizeEnvString(process.env.MCP_OPENAPI_SPEC),
+  confirm: parseConfirmPolicy(process.env.MCP_CONFIRM),
+  strictMode: ENABLED_ENV_VALUES.includes(sanitizeEnvString(process.env.MCP_STRICT_MODE)?.toLowerCase()),
+  allowedPaths: parseAllowedPaths(process.env.MCP_ALLOWED_PATHS),
+  credits: {
+    costs: { ...DEFAULT_CREDIT_COSTS, ...parseCreditCosts(process.env.MCP_CREDIT_COSTS) },
+    sessionBudget: parseCreditBudget(process.env.MCP_CREDIT_SESSION_BUDGET),
+    dailyBudget: parseCreditBudget(process.env.MCP_CREDIT_DAILY_BUDGET),
+    checkBalance: !DISABLED_ENV_VALUES.includes(sanitizeEnvString(process.env.MCP_CREDIT_CHECK_BALANCE)?.toLowerCase()),
+    overBudget: sanitizeEnvString(process.env.MCP_CREDIT_OVER_BUDGET)?.toLowerCase() ?? 'confirm',
+    ledgerFile: resolveStateFile(process.env.MCP_CREDIT_LEDGER_FILE, 'credits.json')
+  },
+  http: {
+    host: sanitizeEnvString(process.env.MCP_HTTP_HOST) ?? '127.0.0.1',
+    port: parsePositiveInteger(process.env.MCP_HTTP_PORT, DEFAULT_HTTP_PORT),
+    authToken: sanitizeEnvString(process.env.MCP_HTTP_AUTH_TOKEN),
+    shareCredentials: ENABLED_ENV_VALUES.includes(sanitizeEnvString(process.env.MCP_HTTP_SHARE_CREDENTIALS)?.toLowerCase()),
+    fileRoot: sanitizeEnvString(process.env.MCP_HTTP_FILE_ROOT) ? resolve(process.env.MCP_HTTP_FILE_ROOT.trim()) : null,
+    allowedHosts: parseCommaList(process.env.MCP_HTTP_ALLOWED_HOSTS),
+    allowedOrigins: parseCommaList(process.env.MCP_HTTP_ALLOWED_ORIGINS),
+    sessionTtlMs: parsePositiveInteger(process.env.MCP_HTTP_SESSION_TTL, DEFAULT_HTTP_SESSION_TTL_MS)
+  }
+};
+
+// Shared by the local (stdio) sessions of this machine; HTTP sessions keep their own history in memory.
+let jobStore = createJobStore(CONFIG.jobHistoryFile);
+// Credits reserved today, shared by every session so the daily budget covers all clients and survives restarts.
+let creditLedger = createCreditLedger(CONFIG.credits.ledgerFile);
+
+const SENSITIVE_HEADERS = new Set(['authorization', 'x-api-key']);
+// Credentials come from the profile store and the host from MCP_API_BASE_URL, never from tool arguments.
+const BLOCKED_REQUEST_HEADERS = new Set(['authorization', 'host']);
+const SENSITIVE_BODY_FIELDS = new Set(['password', 'token']);
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[\w.-]{1,64}$/;
+const DOWNLOAD_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/octet-stream': 'bin',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'text/csv': 'csv',
+  'text/plain': 'txt'
+};
+const COLORS_FORMAT_EXTENSIONS = {
+  swatches: 'swatches',
+  zip: 'zip'
+};
+
+const COLORING_V2_TYPES = ['v2_general', 'v2_detailed', 'v2_anime', 'v2_simplified', 'v2_comic'];
+const COLORING_V1_TYPES = ['image', 'photo'];
+const PBN_SEGMENT_COMPLEXITIES = ['none', 'level1', 'level2', 'level3', 'simplest'];
+const PBN_MODES = ['pixel', 'polygon'];
+const COLORING_TYPE_OPTIONS = [...new Set([...COLORING_V2_TYPES, ...COLORING_V1_TYPES])];
+const aiFilterTypesFromJson = JSON.parse(
+  readFileSync(new URL('./mcp-ai-filter-types.json', import.meta.url), 'utf8')
+);
+const AI_FILTER_TYPES = [
+  'none',
+  'painting-general',
+  'painting-oil-painting',
+  'painting-palette-knife',
+  'painting-acrylic',
+  'painting-watercolor',
+  'painting-gouache',
+  'painting-digital',
+  'painting-graffiti',
+  'painting-grimdark',
+  'painting-impasto',
+  'painting-impressionism-painting-style',
+  'painting-magic-realism',
+  'painting-pointillism',
+  'painting-renaissance',
+  'painting-retrofuturism'
+];
+const AI_FILTER_TYPES_FULL = Array.from(new Set([...aiFilterTypesFromJson]));
+const AI_COLORING_ASPECT_RATIOS = ['1x1', '2x3', '3x2', '4x3', '3x4', '9x16', '16x9'];
+const AI_COLORING_STYLES = ['kids_coloring_page', 'teenagers_coloring_page', 'adults_coloring_page'];
+const AI_COLORING_VERSIONS = ['v1', 'v2'];
+const NAME_COLORING_FONT_STYLES = ['angular', 'rounded', 'graffiti', 'bubble'];
+const NAME_COLORING_ASPECT_RATIOS = ['1x1', '2x3', '3x2'];
+const AI_IMAGE_ASPECT_RATIOS = ['1x1', '2x3', '3x2', '4x5', '5x4'];
+const AI_FILTER_STRENGTH_VALUES = [0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+const AI_FILTER_FAMILIES = [...new Set(AI_FILTER_TYPES_FULL.map((type) => type.split('-')[0]))];
+const PBN_SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const KIDS_AGE_GROUPS = ['toddler', 'kids', 'tweens'];
+const AI_COLORING_AUDIENCES = ['kids', 'teenagers', 'adults'];
+const CANVAS_SIZE_PATTERN = /^\d+(\.\d+)?x\d+(\.\d+)?$/;
+const PBN_IMAGE_DOWNLOAD_TYPES = [
+  'pbn', 'origin', 'source',
+  'outlines', 'outlinespng',
+  'grayscale', 'grayscalepng',
+  'pbnpng', 'originpng',
+  'originwithnumbers', 'custom',
+  'pbnpdf', 'outlinespdf', 'grayscalepdf', 'originpdf'
+];
+const PBN_COLOR_DOWNLOAD_TYPES = ['pdf', 'pdfshort', 'png', 'pngshort', 'csv', 'swatches', 'gpl', 'kpl'];
+const PBN_CUSTOM_DOWNLOAD_TYPES = ['pbn', 'outlines', 'hybrid'];
+// type=custom needs extra query parameters, so kits only offer the fixed formats.
+const PBN_KIT_IMAGE_TYPES = PBN_IMAGE_DOWNLOAD_TYPES.filter((type) => type !== 'custom');
+const DEFAULT_KIT_IMAGE_FORMATS = ['pbnpdf', 'outlinespdf', 'originpng'];
+const DEFAULT_KIT_PALETTE_FORMATS = ['pdf', 'csv'];
+const KIT_MANIFEST_FILENAME = 'manifest.json';
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const HEX_COLOR_PATTERN = /^#?[0-9a-fA-F]{6}$/;
+const HARMONY_TYPES = ['complementary', 'triadic', 'analogous'];
+const DEFAULT_ANALOGOUS_ANGLE = 30;
+const DEFAULT_DUPLICATE_THRESHOLD = 3;
+const MAX_PALETTE_COLORS = 500;
+const PALETTE_FORMATS = ['csv', 'gpl', 'kpl', 'swatches', 'ase', 'json'];
+const PALETTE_DOWNLOAD_FORMATS = ['csv', 'gpl', 'kpl', 'swatches'];
+const PALETTE_EXPORT_FORMATS = ['csv', 'gpl', 'kpl', 'swatches', 'ase', 'css', 'tailwind', 'json'];
+// Procreate rejects palettes with more than 30 swatches, so larger palettes become a zip of several files.
+const MAX_PROCREATE_SWATCHES = 30;
+const PALETTE_EXPORTS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  gpl: { extension: 'gpl', mimeType: 'text/plain' },
+  kpl: { extension: 'kpl', mimeType: 'application/zip' },
+  swatches: { extension: 'swatches', mimeType: 'application/zip' },
+  ase: { extension: 'ase', mimeType: 'application/octet-stream' },
+  css: { extension: 'css', mimeType: 'text/css' },
+  tailwind: { extension: 'js', mimeType: 'text/javascript' },
+  json: { extension: 'json', mimeType: 'application/json' }
+};
+const DESIGN_TOKEN_EXTENSION = 'com.mimipanda';
+const RECIPE_BREAKDOWNS = ['secondary', 'primary'];
+const RECIPE_EXPORT_FORMATS = ['csv', 'markdown'];
+// Field names the backend may use for a palette color's share of the canvas, in order of preference.
+const ITEM_COLOR_AREA_FIELDS = ['area', 'areaPercent', 'percent', 'percentage', 'share', 'pixels', 'pixelCount', 'count'];
+// Rough CIEDE2000 perception bands; 2.3 is the usual just-noticeable difference.
+const DELTA_E_BANDS = [
+  [1, 'not perceptible'],
+  [2.3, 'perceptible only on close inspection'],
+  [10, 'perceptible at a glance'],
+  [50, 'clearly different'],
+  [Infinity, 'very different']
+];
+const MAX_BATCH_CONCURRENCY = 10;
+const MAX_BATCH_ITEMS = 100;
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_UPLOAD_DIMENSION = 15000;
+const UPSCALE_MAX_UPLOAD_DIMENSION = 4000;
+// Larger images are never decoded for thumbnails, so a crafted header cannot exhaust memory.
+const MAX_THUMBNAIL_INPUT_PIXELS = MAX_UPLOAD_DIMENSION ** 2;
+const UPLOAD_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/heif': 'heif'
+};
+const IMAGE_OR_URL_SCHEMA = z
+  .string()
+  .describe('Image upload (multipart file field) or publicly accessible URL. Accepted formats: jpg, png, webp, jpeg, heic, heif. Maximum size: 20MB. Maximum dimensions: 15000x15000px or 4000x4000px for upscale. To upload a local file or base64 payload, omit this field and pass it through the call_api files option instead.');
+const ITEM_READY_STATUSES = ['ready'];
+const ITEM_FAILED_STATUSES = ['failed', 'error', 'canceled', 'cancelled'];
+const DEFAULT_POLL_INTERVAL_MS = 3000;
+const DEFAULT_POLL_BACKOFF_FACTOR = 1.5;
+const MAX_POLL_INTERVAL_MS = 30000;
+const DEFAULT_WAIT_DEADLINE_MS = 300000;
+const MAX_WAIT_DEADLINE_MS = 1800000;
+const ColorInfoSchema = z.object({
+  hex: z.string().describe('Normalized 6-digit hex (no #).'),
+  rgb: z.array(z.number()).length(3).describe('RGB values [R, G, B] each 0–255.'),
+  hsl: z.array(z.number()).length(3).describe('HSL values [H (0–360), S (0–1), L (0–1)].'),
+  lab: z.array(z.number()).length(3).describe('CIELAB values [L, a, b] (D65).'),
+  name: z.string().nullable(),
+  code: z.string().nullable()
+});
+
+const PaletteSchema = z.object({
+  format: z.enum(PALETTE_FORMATS).describe('Format the palette was parsed from.'),
+  name: z.string().nullable().describe('Palette name from the file header, when present.'),
+  colors: z
+    .array(ColorInfoSchema)
+    .describe('Palette colors in file order. Pass colors[i].hex to unmix_color, or 2–4 entries as mix_colors colors.'),
+  skipped: z.number().describe('Entries that could not be read as RGB colors.')
+});
+
+const TASK_CREATION_OUTPUT_SCHEMA = z.object({
+  key: z.string().describe('API key used to poll task results via /service/item/{uuid}'),
+  status: z.string().describe('Current task status'),
+  created: z
+    .string()
+    .describe('Creation timestamp (ISO 8601)')
+});
+const SchemaSummaryBase = z.lazy(() =>
+  z.object({
+    type: z.string(),
+    description: z.string().nullable().optional(),
+    properties: z.record(SchemaSummaryBase).optional(),
+    enumValues: z.array(z.string()).optional(),
+    items: z.union([SchemaSummaryBase, z.array(SchemaSummaryBase)]).optional(),
+    unionOptions: z.array(SchemaSummaryBase).optional(),
+    optional: z.boolean().optional(),
+    nullable: z.boolean().optional()
+  })
+);
+const SchemaSummarySchema = SchemaSummaryBase.nullable();
+
+function summarizeSchema(schema) {
+  return summarizeSchemaInternal(schema);
+}
+
+function summarizeSchemaInternal(schema, meta = {}, ancestors = new Set()) {
+  if (!schema) {
+    return null;
+  }
+
+  // Wrappers pass their own description down, so .refine(...).describe(...) keeps it; the outermost one wins.
+  const wrapped = (extra = {}) => ({ ...meta, ...extra, description: meta.description ?? schema._def?.description });
+
+  if (schema instanceof z.ZodOptional) {
+    return summarizeSchemaInternal(schema.unwrap(), wrapped({ optional: true }), ancestors);
+  }
+
+  if (schema instanceof z.ZodNullable) {
+    return summarizeSchemaInternal(schema.unwrap(), wrapped({ nullable: true }), ancestors);
+  }
+
+  if (schema instanceof z.ZodDefault) {
+    return summarizeSchemaInternal(schema.removeDefault(), wrapped(), ancestors);
+  }
+
+  if (schema instanceof z.ZodEffects) {
+    return summarizeSchemaInternal(schema._def.schema, wrapped(), ancestors);
+  }
+
+  if (schema instanceof z.ZodLazy) {
+    // Self-referencing schemas (like SchemaSummaryBase) are summarized once and then marked as recursive.
+    if (ancestors.has(schema)) {
+      return {
+        type: 'recursive',
+        description: wrapped().description ?? 'Same shape as the enclosing schema.',
+        ...(meta.optional ? { optional: true } : {}),
+        ...(meta.nullable ? { nullable: true } : {})
+      };
+    }
+    return summarizeSchemaInternal(schema.schema, wrapped(), new Set(ancestors).add(schema));
+  }
+
+  if (schema instanceof z.ZodBranded) {
+    return summarizeSchemaInternal(schema._def.type, wrapped(), ancestors);
+  }
+
+  const typeName = schema?._def?.typeName ?? 'unknown';
+  let summary = {
+    type: mapZodTypeName(typeName),
+    description: meta.description ?? schema?._def?.description ?? null
+  };
+
+  if (schema instanceof z.ZodObject) {
+    const rawShape = schema.shape ?? schema._def?.shape?.();
+    const shape = typeof rawShape === 'function' ? rawShape() : rawShape ?? {};
+    const properties = Object.entries(shape).reduce((acc, [key, value]) => {
+      const propertySummary = summarizeSchemaInternal(value, {}, ancestors);
+      if (propertySummary) {
+        acc[key] = propertySummary;
+      }
+      return acc;
+    }, {});
+    summary = {
+      ...summary,
+      type: 'object',
+      properties: Object.keys(properties).length ? properties : undefined
+    };
+  } else if (schema instanceof z.ZodEnum) {
+    summary = {
+      ...summary,
+      type: 'enum',
+      enumValues: [...schema.options]
+    };
+  } else if (schema instanceof z.ZodNativeEnum) {
+    summary = {
+      ...summary,
+      type: 'enum',
+      enumValues: Object.values(schema._def?.values ?? {}).map((value) => String(value))
+    };
+  } else if (schema instanceof z.ZodLiteral) {
+    summary = {
+      ...summary,
+      type: 'literal',
+      enumValues: [String(schema._def?.value)]
+    };
+  } else if (schema instanceof z.ZodUnion) {
+    summary = {
+      ...summary,
+      type: 'union',
+      unionOptions: schema._def.options
+        .map((option) => summarizeSchemaInternal(option, {}, ancestors))
+        .filter(Boolean)
+    };
+  } else if (schema instanceof z.ZodDiscriminatedUnion) {
+    summary = {
+      ...summary,
+      type: 'union',
+      unionOptions: Array.from(schema.options.values())
+        .map((option) => summarizeSchemaInternal(option, {}, ancestors))
+        .filter(Boolean)
+    };
+  } else if (schema instanceof z.ZodArray) {
+    summary = {
+      ...summary,
+      type: 'array',
+      items: summarizeSchemaInternal(schema._def.type, {}, ancestors)
+    };
+  } else if (schema instanceof z.ZodRecord) {
+    summary = {
+      ...summary,
+      type: 'record',
+      items: summarizeSchemaInternal(schema._def.valueType, {}, ancestors)
+    };
+  } else if (schema instanceof z.ZodTuple) {
+    summary = {
+      ...summary,
+      type: 'tuple',
+      items: schema._def.items
+        .map((item) => summarizeSchemaInternal(item, {}, ancestors))
+        .filter(Boolean)
+    };
+  }
+
+  if (meta.optional) {
+    summary.optional = true;
+  }
+  if (meta.nullable) {
+    summary.nullable = true;
+  }
+
+  return summary;
+}
+
+function mapZodTypeName(typeName) {
+  switch (typeName) {
+    case z.ZodFirstPartyTypeKind.ZodObject:
+      return 'object';
+    case z.ZodFirstPartyTypeKind.ZodEnum:
+    case z.ZodFirstPartyTypeKind.ZodNativeEnum:
+      return 'enum';
+    case z.ZodFirstPartyTypeKind.ZodArray:
+      return 'array';
+    case z.ZodFirstPartyTypeKind.ZodRecord:
+      return 'record';
+    case z.ZodFirstPartyTypeKind.ZodUnion:
+    case z.ZodFirstPartyTypeKind.ZodDiscriminatedUnion:
+      return 'union';
+    case z.ZodFirstPartyTypeKind.ZodLiteral:
+      return 'literal';
+    default:
+      return typeName?.replace('Zod', '').toLowerCase() ?? 'unknown';
+  }
+}
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const SCHEMA_FORMATS = ['summary', 'json-schema'];
+const OPENAPI_VERSION = '3.1.0';
+const OPENAPI_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const OPENAPI_BODY_TYPES = ['application/json', 'multipart/form-data', 'application/x-www-form-urlencoded'];
+// Refinement callbacks are opaque, so refineWithRule records their message and an optional JSON Schema equivalent.
+const REFINEMENT_RULES = new WeakMap();
+const STRING_FORMATS = {
+  email: 'email',
+  url: 'uri',
+  uuid: 'uuid',
+  datetime: 'date-time',
+  date: 'date',
+  time: 'time',
+  duration: 'duration'
+};
+
+function refineWithRule(schema, check, message, jsonSchema = null) {
+  const refined = schema.refine(check, { message });
+  // Keyed by the effect object, which .describe() and .optional() copies keep sharing.
+  REFINEMENT_RULES.set(refined._def.effect, { message, jsonSchema });
+  return refined;
+}
+
+function toJsonSchema(schema) {
+  if (!schema) {
+    return null;
+  }
+  const context = createJsonSchemaContext('#/$defs/');
+  const root = toJsonSchemaInternal(schema, context);
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    ...root,
+    ...(Object.keys(context.defs).length ? { $defs: context.defs } : {})
+  };
+}
+
+// Lazy schemas are collected as named definitions; refBase is where the caller puts them (#/$defs/ or #/components/schemas/).
+function createJsonSchemaContext(refBase) {
+  return { refBase, lazies: new Map(), defs: {} };
+}
+
+function toJsonSchemaInternal(schema, context) {
+  const result = convertZodToJsonSchema(schema, context);
+  // Wrappers are converted after their inner schema, so the outermost description wins.
+  const description = schema._def?.description;
+  return description ? { ...result, description } : result;
+}
+
+function convertZodToJsonSchema(schema, context) {
+  const convert = (inner) => toJsonSchemaInternal(inner, context);
+
+  if (schema instanceof z.ZodOptional) {
+    return convert(schema.unwrap());
+  }
+  if (schema instanceof z.ZodNullable) {
+    const inner = convert(schema.unwrap());
+    return typeof inner.type === 'string' && !inner.enum && inner.const === undefined
+      ? { ...inner, type: [inner.type, 'null'] }
+      : { anyOf: [inner, { type: 'null' }] };
+  }
+  if (schema instanceof z.ZodDefault) {
+    return { ...convert(schema.removeDefault()), default: schema._def.defaultValue() };
+  }
+  if (schema instanceof z.ZodCatch || schema instanceof z.ZodReadonly) {
+    return convert(schema._def.innerType);
+  }
+  if (schema instanceof z.ZodBranded) {
+    return convert(schema._def.type);
+  }
+  if (schema instanceof z.ZodPipeline) {
+    return convert(schema._def.in);
+  }
+  if (schema instanceof z.ZodEffects) {
+    // Transforms and preprocessors are described by the input they accept.
+    const inner = convert(schema._def.schema);
+    const rule = REFINEMENT_RULES.get(schema._def.effect);
+    if (!rule) {
+      return inner;
+    }
+    const merged = rule.jsonSchema ? mergeJsonSchemas(inner, rule.jsonSchema) : inner;
+    return { ...merged, 'x-refinements': [...(merged['x-refinements'] ?? []), rule.message] };
+  }
+  if (schema instanceof z.ZodLazy) {
+    // Every lazy schema becomes a named definition, so recursive references resolve to it.
+    let name = context.lazies.get(schema);
+    if (!name) {
+      name = `Lazy${context.lazies.size + 1}`;
+      context.lazies.set(schema, name);
+      context.defs[name] = convert(schema.schema);
+    }
+    return { $ref: `${context.refBase}${name}` };
+  }
+
+  if (schema instanceof z.ZodString) {
+    return stringToJsonSchema(schema);
+  }
+  if (schema instanceof z.ZodNumber) {
+    return numberToJsonSchema(schema);
+  }
+  if (schema instanceof z.ZodBigInt) {
+    return { type: 'integer' };
+  }
+  if (schema instanceof z.ZodBoolean) {
+    return { type: 'boolean' };
+  }
+  if (schema instanceof z.ZodNull) {
+    return { type: 'null' };
+  }
+  if (schema instanceof z.ZodDate) {
+    return { type: 'string', format: 'date-time' };
+  }
+  if (schema instanceof z.ZodLiteral) {
+    const value = schema._def.value;
+    return value === null ? { type: 'null' } : { type: typeof value, const: value };
+  }
+  if (schema instanceof z.ZodEnum) {
+    return { type: 'string', enum: [...schema.options] };
+  }
+  if (schema instanceof z.ZodNativeEnum) {
+    // TypeScript numeric enums map values back to names; keep only the values.
+    const values = Object.entries(schema._def.values)
+      .filter(([key]) => typeof schema._def.values[schema._def.values[key]] !== 'number')
+      .map(([, value]) => value);
+    return { enum: values };
+  }
+  if (schema instanceof z.ZodObject) {
+    const properties = {};
+    const required = [];
+    for (const [key, value] of Object.entries(schema.shape)) {
+      properties[key] = convert(value);
+      if (!value.isOptional()) {
+        required.push(key);
+      }
+    }
+    const catchall = schema._def.catchall;
+    let additionalProperties;
+    if (!(catchall instanceof z.ZodNever)) {
+      additionalProperties = convert(catchall);
+    } else if (schema._def.unknownKeys === 'strict') {
+      additionalProperties = false;
+    }
+    return {
+      type: 'object',
+      properties,
+      ...(required.length ? { required } : {}),
+      ...(additionalProperties !== undefined ? { additionalProperties } : {})
+    };
+  }
+  if (schema instanceof z.ZodArray) {
+    const { minLength, maxLength, exactLength } = schema._def;
+    return {
+      type: 'array',
+      items: convert(schema._def.type),
+      ...(minLength || exactLength ? { minItems: (exactLength ?? minLength).value } : {}),
+      ...(maxLength || exactLength ? { maxItems: (exactLength ?? maxLength).value } : {})
+    };
+  }
+  if (schema instanceof z.ZodSet) {
+    const { minSize, maxSize } = schema._def;
+    return {
+      type: 'array',
+      uniqueItems: true,
+      items: convert(schema._def.valueType),
+      ...(minSize ? { minItems: minSize.value } : {}),
+      ...(maxSize ? { maxItems: maxSize.value } : {})
+    };
+  }
+  if (schema instanceof z.ZodTuple) {
+    const items = schema._def.items;
+    return {
+      type: 'array',
+      prefixItems: items.map(convert),
+      items: schema._def.rest ? convert(schema._def.rest) : false,
+      minItems: items.filter((item) => !item.isOptional()).length,
+      ...(schema._def.rest ? {} : { maxItems: items.length })
+    };
+  }
+  if (schema instanceof z.ZodRecord) {
+    const keys = convert(schema._def.keyType);
+    const { type, description, ...keyConstraints } = keys;
+    return {
+      type: 'object',
+      additionalProperties: convert(schema._def.valueType),
+      ...(Object.keys(keyConstraints).length ? { propertyNames: keyConstraints } : {})
+    };
+  }
+  if (schema instanceof z.ZodUnion) {
+    return { anyOf: schema._def.options.map(convert) };
+  }
+  if (schema instanceof z.ZodDiscriminatedUnion) {
+    return { oneOf: Array.from(schema.options.values()).map(convert) };
+  }
+  if (schema instanceof z.ZodIntersection) {
+    return { allOf: [convert(schema._def.left), convert(schema._def.right)] };
+  }
+  if (schema instanceof z.ZodNever || schema instanceof z.ZodUndefined || schema instanceof z.ZodVoid) {
+    return { not: {} };
+  }
+  // z.any(), z.unknown() and types JSON cannot represent accept any value.
+  return {};
+}
+
+function stringToJsonSchema(schema) {
+  const result = { type: 'string' };
+  const patterns = [];
+  for (const check of schema._def.checks) {
+    switch (check.kind) {
+      case 'min':
+        result.minLength = check.value;
+        break;
+      case 'max':
+        result.maxLength = check.value;
+        break;
+      case 'length':
+        result.minLength = check.value;
+        result.maxLength = check.value;
+        break;
+      case 'regex':
+        patterns.push(check.regex.source);
+        break;
+      case 'startsWith':
+        patterns.push(`^${escapeRegExp(check.value)}`);
+        break;
+      case 'endsWith':
+        patterns.push(`${escapeRegExp(check.value)}$`);
+        break;
+      case 'includes':
+        patterns.push(escapeRegExp(check.value));
+        break;
+      case 'ip':
+        result.format = check.version === 'v6' ? 'ipv6' : 'ipv4';
+        break;
+      default:
+        if (STRING_FORMATS[check.kind]) {
+          result.format = STRING_FORMATS[check.kind];
+        }
+    }
+  }
+  if (patterns.length === 1) {
+    result.pattern = patterns[0];
+  } else if (patterns.length > 1) {
+    result.allOf = patterns.map((pattern) => ({ pattern }));
+  }
+  return result;
+}
+
+function numberToJsonSchema(schema) {
+  const result = { type: 'number' };
+  for (const check of schema._def.checks) {
+    switch (check.kind) {
+      case 'int':
+        result.type = 'integer';
+        break;
+      case 'min':
+        result[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+        break;
+      case 'max':
+        result[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+        break;
+      case 'multipleOf':
+        result.multipleOf = check.value;
+        break;
+      default:
+        break;
+    }
+  }
+  return result;
+}
+
+function mergeJsonSchemas(base, extra) {
+  const conflicts = Object.keys(extra).some((key) => key in base);
+  return conflicts ? { allOf: [base, extra] } : { ...base, ...extra };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const API_ROUTES = [
+  {
+    method: 'POST',
+    path: 'auth/login',
+    toolName: 'login',
+    authAction: 'login',
+    description: 'Authenticate a user and receive a API access token.',
+    authRequired: false,
+    group: 'auth',
+    notes: 'Public route.',
+    inputSchema: z.object({
+      email: z.string().email().describe('Registered email address'),
+      password: z.string().min(1).describe('Account password')
+    }),
+    outputSchema: z.object({
+      token: z.string().describe('Plain text API access token'),
+      userId: z.number().describe('Internal user identifier'),
+      plan: z.string().describe('Current subscription tier'),
+      credits: z.number().describe('Available credits balance')
+    })
+  },
+  {
+    method: 'GET',
+    path: 'user/me',
+    toolName: 'get_current_user',
+    authAction: 'profile',
+    description: 'Return the authenticated user profile.',
+    authRequired: true,
+    group: 'auth',
+    inputSchema: z.object({}).describe('No body parameters; requires Authorization header.'),
+    outputSchema: z.object({
+      id: z.number().describe('Authenticated user ID'),
+      email: z.string().email().describe('User email'),
+      plan: z.string().describe('Subscription plan identifier'),
+      credits: z.number().describe('Current credits balance')
+    })
+  },
+  {
+    method: 'POST',
+    path: 'user/logout',
+    toolName: 'logout',
+    authAction: 'logout',
+    destructive: true,
+    description: 'Invalidate the current Sanctum token.',
+    authRequired: true,
+    group: 'auth',
+    inputSchema: z.object({}).describe('No body parameters; requires Authorization header.'),
+    outputSchema: z.object({
+      message: z.string().describe('Confirmation that all tokens were revoked')
+    })
+  },
+  {
+    method: 'POST',
+    path: 'service/coloring',
+    toolName: 'create_coloring_page',
+    createsItem: true,
+    description: 'Create a coloring page from an uploaded image.',
+    authRequired: true,
+    group: 'service',
+    uploadFields: ['image'],
+    inputSchema: z.object({
+      image: IMAGE_OR_URL_SCHEMA,
+      type: z
+        .enum(COLORING_TYPE_OPTIONS)
+        .optional()
+        .describe(
+          'Optional coloring style. Defaults to v2_general for version=v2, photo for version=v1.'
+        ),
+      version: z.enum(['v1', 'v2']).optional().describe('Processing pipeline version. Defaults to v2.'),
+      smart_subject_focus: z.boolean().optional().describe('When enabled, automatically detects and focuses on the main subject of the image for better coloring results. Defaults to false.')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/pbn',
+    toolName: 'create_pbn',
+    createsItem: true,
+    description: 'Create a paint by numbers image from an upload or prompt.',
+    authRequired: true,
+    group: 'service',
+    uploadFields: ['image'],
+    inputSchema: refineWithRule(
+      z.object({
+        image: IMAGE_OR_URL_SCHEMA.optional().describe('Optional image upload or URL.'),
+        prompt: z
+          .string()
+          .min(3)
+          .max(600)
+          .optional()
+          .describe('Optional text prompt (required if image omitted).'),
+        numberOfColors: z
+          .number()
+          .int()
+          .min(7)
+          .max(100)
+          .optional()
+          .describe('Desired palette size (7-100). Defaults to 30.'),
+        segmentsComplexity: z
+          .enum(PBN_SEGMENT_COMPLEXITIES)
+          .optional()
+          .describe('Level of segmentation detail. Defaults to none.'),
+        canvasSize: z.string().optional().describe('Target canvas dimensions string in inches. Your Paint by Numbers image will be resized to make the coloring process easier for the selected canvas size. The canvas orientation will be automatically adjusted to match the image orientation. Example: 4x8'),
+        crop: z.boolean().optional().describe('Whether to crop input image to fit the selected canvas size.'),
+        cropCoordinates: z
+          .string()
+          .optional()
+          .nullable()
+          .describe('Crop region as a JSON string with keys x1, y1, x2, y2 — each a normalized float between 0 and 1 (0,0 = top-left, 1,1 = bottom-right). x2 must be greater than x1 and y2 must be greater than y1. Only applied when crop=true. Example: {"x1":0.1,"y1":0.1,"x2":0.9,"y2":0.9}'),
+        palette: z
+          .number()
+          .int()
+          .optional()
+          .describe('Palette ID owned by the user (premium only).'),
+        paletteColors: z
+          .string()
+          .optional()
+          .describe('Comma-separated palette color codes to restrict output. For instance, "1,2,3,4,5".'),
+        aiFilterType: z
+          .enum(AI_FILTER_TYPES)
+          .optional()
+          .describe('Optional AI style filter. Defaults to none.'),
+        minArea: z
+          .union([
+            z.literal('auto'),
+            refineWithRule(
+              z.number().min(0).max(100),
+              (val) => Number.isInteger(val * 10),
+              'Must be in 0.1 increments.',
+              { multipleOf: 0.1 }
+            )
+          ])
+          .optional()
+          .describe(
+            'Minimum segment area as a percentage of the shortest image side (0–100 in 0.1 increments, e.g. 0, 1.5, 2.3), or "auto" to compute automatically from canvas size. Increasing this value merges smaller color regions. Defaults to "auto". Non-commercial users are clamped to a minimum of 1.5 server-side.'
+          ),
+        mode: z.enum(PBN_MODES).optional().describe('Segmentation output mode. Defaults to polygon.'),
+        enhancement: z.boolean().optional().describe('Enable smart enhancement technique to remove unnecessary details and improve the overall quality of the image (default true).'),
+        fixedNumbersSize: z.boolean().nullable().optional().describe('When enabled, ensures that all number labels in the generated PBN have a consistent, uniform size. Defaults to false.'),
+        thinLineWidth: z
+          .number()
+          .int()
+          .min(1)
+          .max(30)
+          .optional()
+          .describe(
+            'Absorbs hairline ridges into surrounding zones. Increase when the source has many fine outlines or the canvas is large. Value is in pixels (at 96 DPI). Defaults to 1.'
+          ),
+        colorMergeThreshold: z
+          .number()
+          .int()
+          .min(0)
+          .max(100)
+          .optional()
+          .describe(
+            'Merges adjacent zones with similar colors. Higher values reduce nearly-identical shades more aggressively and may lower the final color count. 0 disables merging. Defaults to 0.'
+          ),
+        thinZoneMerge: z
+          .number()
+          .int()
+          .min(3)
+          .max(50)
+          .optional()
+          .describe(
+            'Zones too narrow to hold a painted number are merged into their neighbor. Increase to eliminate slivers. Value is in pixels (at 96 DPI). Defaults to 3.'
+          )
+      }),
+      (data) => data.image || data.prompt,
+      'Provide either image or prompt.',
+      { anyOf: [{ required: ['image'] }, { required: ['prompt'] }] }
+    ),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/ai/coloring',
+    toolName: 'create_ai_coloring_page',
+    createsItem: true,
+    description: 'Generate an AI-powered coloring page from a prompt.',
+    authRequired: true,
+    group: 'service',
+    inputSchema: z.object({
+      prompt: z.string().min(3).max(600).describe('Text prompt for generation.'),
+      style: z.enum(AI_COLORING_STYLES).describe('Preset style slug supplied by provider.'),
+      aspectRatio: z.enum(AI_COLORING_ASPECT_RATIOS).optional().describe('Canvas aspect ratio.'),
+      version: z.enum(AI_COLORING_VERSIONS).describe('Provider version to use.')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/ai/name-coloring',
+    toolName: 'create_name_coloring_page',
+    createsItem: true,
+    description: 'Generate a name coloring page from a person\'s name with a chosen font style and optional decorative elements.',
+    authRequired: true,
+    group: 'service',
+    inputSchema: z.object({
+      name: z.string().max(70).describe('Name or short text to render as a coloring page (max 70 characters).'),
+      fontStyle: z.enum(NAME_COLORING_FONT_STYLES).describe('Font style for the name: angular, rounded, graffiti, or bubble.'),
+      aspectRatio: z.enum(NAME_COLORING_ASPECT_RATIOS).describe('Canvas aspect ratio: 1x1, 2x3, or 3x2.'),
+      elementInText: z.string().max(80).optional().nullable().describe('Optional decorative elements to draw inside the letters (max 80 characters). Example: "stars, hearts".'),
+      elementAroundText: z.string().max(80).optional().nullable().describe('Optional decorative elements to draw around the name (max 80 characters). Example: "flowers, butterflies".'),
+      backgroundDecoration: z.string().max(80).optional().nullable().describe('Optional background decoration description (max 80 characters). Example: "simple geometric patterns".')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/ai/image',
+    toolName: 'create_ai_image',
+    createsItem: true,
+    description: 'Generate AI images from a text prompt.',
+    authRequired: true,
+    group: 'service',
+    inputSchema: z.object({
+      prompt: z.string().min(3).max(600).describe('Text prompt for generation.'),
+      aspectRatio: z.enum(AI_IMAGE_ASPECT_RATIOS).describe('Canvas aspect ratio.')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/image/upscale',
+    toolName: 'upscale_image',
+    createsItem: true,
+    description: 'Enhance or upscale uploaded images. Maximum dimensions are 4000x4000 pixels.',
+    authRequired: true,
+    group: 'service',
+    uploadFields: ['image'],
+    maxUploadDimension: UPSCALE_MAX_UPLOAD_DIMENSION,
+    inputSchema: z.object({
+      image: IMAGE_OR_URL_SCHEMA,
+      upscale: z
+        .enum(['2', '4'])
+        .or(z.literal(2))
+        .or(z.literal(4))
+        .describe('Desired upscale factor (2x or 4x).')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'POST',
+    path: 'service/image/filter',
+    toolName: 'apply_image_filter',
+    createsItem: true,
+    description: 'Apply AI-based filters to uploaded images.',
+    authRequired: true,
+    group: 'service',
+    uploadFields: ['image'],
+    inputSchema: z.object({
+      image: IMAGE_OR_URL_SCHEMA,
+      filterType: z.enum(AI_FILTER_TYPES_FULL).describe('AI filter preset.'),
+      strength: refineWithRule(
+        z.number(),
+        (val) => AI_FILTER_STRENGTH_VALUES.includes(Number(val)),
+        'Strength must be between 0.2 and 1.0 (step 0.1).',
+        { enum: AI_FILTER_STRENGTH_VALUES }
+      ).describe('Effect strength multiplier.')
+    }),
+    outputSchema: TASK_CREATION_OUTPUT_SCHEMA
+  },
+  {
+    method: 'GET',
+    path: 'service/item/{uuid}',
+    toolName: 'get_item',
+    description: 'Retrieve a generated item by its UUID.',
+    authRequired: true,
+    group: 'service',
+    returnsImages: true,
+    inputSchema: z.object({
+      uuid: z.string().uuid().describe('Task key returned by creation endpoints.')
+    }),
+    outputSchema: z.object({
+      key: z.string().describe('Echo of supplied UUID key'),
+      status: z.string().describe('Current processing status'),
+      created: z.string().describe('Creation timestamp (Y-m-d H:i:s)'),
+      updated: z.string().describe('Last update timestamp (Y-m-d H:i:s)'),
+      title: z.string().nullish().describe('Human-readable title for PBN and coloring items; omitted or null when not set.'),
+      images: z
+        .union([
+          z.array(z.string().url().nullable()),
+          z
+            .record(
+              z.string(),
+              z.union([z.string().url().nullable(), z.array(z.string().url().nullable()).nullable()])
+            )
+            .nullable(),
+          z.string().url().nullable()
+        ])
+        .optional()
+        .describe('Resulting asset URLs (varies by task type).'),
+      colors: z.any().optional().describe('Palette metadata for PBN outputs.'),
+      parameters: z.record(z.any()).optional().describe('Task-specific parameter echo.')
+    })
+  },
+  {
+    method: 'GET',
+    path: 'service/item/{uuid}/pbn/download/{type}',
+    toolName: 'download_pbn',
+    description: 'Download a ready PBN item as a file. Substitute {uuid} and {type} directly in the path when calling call_api. Returns a binary file download (SVG, PNG, or PDF). Use query params for optional width/height and custom-type overrides.',
+    authRequired: true,
+    group: 'service',
+    returnsImages: true,
+    fileDownload: true,
+    notes: 'Returns 409 if the item status is not "ready". Returns 404 if the UUID does not point to a PBN item. Pass outputDir (or set MCP_DOWNLOAD_DIR) to save the file to disk; the result then holds only its path, size, MIME type and SHA-256 in response.savedFile. Otherwise PNG/PDF bodies are returned as base64 in rawText (isBinary=true), up to MCP_MAX_INLINE_BYTES. For type=custom all download-* query params are required.',
+    inputSchema: z.object({
+      uuid: z.string().uuid().describe('PBN item key returned by POST /service/pbn.'),
+      type: z.enum(PBN_IMAGE_DOWNLOAD_TYPES).describe(
+        'Download format. SVG types: pbn, origin, source, outlines, grayscale, originwithnumbers, custom. PNG types (require Inkscape): outlinespng, grayscalepng, pbnpng, originpng. PDF types (require Inkscape): pbnpdf, outlinespdf, grayscalepdf, originpdf.'
+      ),
+      width: z.number().int().min(1).max(15000).optional().describe('Export width in pixels. Applies to PNG and PDF types only.'),
+      height: z.number().int().min(1).max(15000).optional().describe('Export height in pixels. Applies to PNG and PDF types only.'),
+      'download-type': z.enum(PBN_CUSTOM_DOWNLOAD_TYPES).optional().describe('Required when type=custom. Determines which elements to render: pbn (numbered regions), outlines (no numbers), hybrid (semi-transparent colors + numbers).'),
+      'download-strokes-color': z.string().optional().describe('Required when type=custom. CSS color for stroke lines (e.g. #000000).'),
+      'download-numbers-color': z.string().optional().describe('Required when type=custom. CSS color for number labels (e.g. #000000).'),
+      'download-hybrid-opacity': z.number().min(0).max(1).optional().describe('Used when type=custom and download-type=hybrid. Opacity of color fills (0–1). Defaults to 0.05.'),
+      'download-frame': z.enum(['yes', 'no']).optional().describe('Used when type=custom. Adds a 5 cm border with corner guide lines (192 px at 96 dpi).')
+    }),
+    outputSchema: z.object({
+      file: z.any().describe('Saved file (path, size, mimeType, sha256) when outputDir or MCP_DOWNLOAD_DIR is set; otherwise the inline file content. The Content-Disposition response header contains the filename.')
+    })
+  },
+  {
+    method: 'GET',
+    path: 'service/item/{uuid}/pbn/colors/{type}',
+    toolName: 'download_pbn_colors',
+    description: 'Download the color palette of a ready PBN item as a file. Substitute {uuid} and {type} directly in the path when calling call_api.',
+    authRequired: true,
+    group: 'service',
+    returnsImages: true,
+    fileDownload: true,
+    parsesPalette: true,
+    notes: 'Returns 409 if the item status is not "ready". Returns 404 if the UUID does not point to a PBN item. csv, gpl, kpl and swatches downloads are also parsed into a structured palette (code, name, hex, rgb, hsl) in the palette field of the download_pbn_colors result. Pass outputDir (or set MCP_DOWNLOAD_DIR) to save the file to disk; the result then holds only its path, size, MIME type and SHA-256 in response.savedFile, and swatches downloads get a .swatches or .zip extension from X-Mimi-Colors-Format. Otherwise PDF/PNG/binary types return isBinary=true with base64-encoded rawText, and text types (csv, gpl, kpl) return isBinary=false with plain text in rawText, up to MCP_MAX_INLINE_BYTES. For type=swatches the API may return either a single .swatches file (<=30 colors) or a .zip archive (>30 colors). Use Content-Disposition filename and X-Mimi-Colors-Format response header (swatches|zip) to detect the exact format.',
+    inputSchema: z.object({
+      uuid: z.string().uuid().describe('PBN item key returned by POST /service/pbn.'),
+      type: z.enum(PBN_COLOR_DOWNLOAD_TYPES).describe(
+        'Color export format. pdf/pdfshort: full or compact color chart as PDF. png/pngshort: full or compact color chart as JPEG image. csv: comma-separated values (Code, Name, Hex, RGB, HSL). swatches: Procreate export (.swatches for <=30 colors, .zip with multiple .swatches files for >30 colors). gpl: GIMP palette. kpl: Krita palette.'
+      )
+    }),
+    outputSchema: z.object({
+      file: z.any().describe('Binary or text file content. The Content-Disposition response header contains the filename and extension.'),
+      palette: PaletteSchema.optional().describe('Structured palette parsed from csv, gpl, kpl and swatches downloads.')
+    })
+  },
+  {
+    method: 'POST',
+    path: 'service/color/unmix',
+    toolName: 'unmix_color',
+    description: 'Unmix a color into its primary and secondary paint components using the Mimi Panda color model.',
+    authRequired: true,
+    group: 'service',
+    notes: 'Returns the hex/rgb/hsl of the input color plus two unmix breakdowns: "unmix" (secondary — splits into primary + secondary pigments) and "unmix_primary" (primary only — splits purely into primary pigments). Values in each breakdown are proportions summing to 1.',
+    inputSchema: z.object({
+      hex: z.string().regex(/^#?[0-9a-fA-F]{6}$/).describe('6-digit hex color, with or without leading #. Example: "a3c2f0".')
+    }),
+    outputSchema: z.object({
+      hex: z.string().describe('Normalized 6-digit hex of the input color (no #).'),
+      rgb: z.array(z.number()).length(3).describe('RGB values [R, G, B] each 0–255.'),
+      hsl: z.array(z.number()).length(3).describe('HSL values [H (0–360), S (0–1), L (0–1)].'),
+      unmix: z.record(z.number()).describe('Secondary unmix breakdown: pigment name → proportion (0–1). Example: {"red": 0.4, "blue": 0.3, "white": 0.3}.'),
+      unmix_primary: z.record(z.number()).describe('Primary unmix breakdown: pigment name → proportion (0–1). Uses only primary pigments (red, yellow, blue, black, white).')
+    })
+  },
+  {
+    method: 'POST',
+    path: 'service/color/mix',
+    toolName: 'mix_colors',
+    description: 'Mix 2–4 colors into a single blended result using the Spectral physically-based paint-mixing model (Kubelka-Munk).',
+    authRequired: true,
+    group: 'service',
+    notes: 'Amounts are relative weights and do not need to sum to 1 — the model normalises them internally. Omit "amount" to give all colors equal weight. "tintingStrength" reflects how strongly a pigment tints others (analogous to real paint opacity/dominance); omit it to use the default (1.0).',
+    inputSchema: z.object({
+      colors: z.array(
+        z.object({
+          hex: z.string().regex(/^#?[0-9a-fA-F]{6}$/).describe('6-digit hex of this color, with or without #.'),
+          amount: z.number().min(0.001).optional().describe('Relative weight of this color in the mix. Defaults to 1.0 (equal weight with all others).'),
+          tintingStrength: z.number().min(0).optional().describe('How strongly this pigment tints others (default 1.0). Higher values make this color dominate the mix more.')
+        })
+      ).min(2).max(4).describe('2 to 4 colors to blend together.')
+    }),
+    outputSchema: z.object({
+      hex: z.string().describe('Resulting blended color as a 6-digit hex string (no #).'),
+      rgb: z.array(z.number()).length(3).describe('Resulting color as [R, G, B] each 0–255.'),
+      hsl: z.array(z.number()).length(3).describe('Resulting color as [H (0–360), S (0–1), L (0–1)].')
+    })
+  }
+];
+
+const API_ROUTE_MATCHERS = API_ROUTES.map((route) => ({
+  route,
+  ...compileRoutePattern(route.path)
+}));
+
+const QueryValueSchema = z.union([z.string(), z.number(), z.boolean()]);
+
+const ImageOutputSchema = z
+  .enum(['none', 'thumbnail', 'full'])
+  .optional()
+  .describe('How to return ready images as image content: thumbnail (downscaled, default), full (original size, up to MCP_MAX_INLINE_BYTES), or none. SVG files are rasterized for thumbnails and embedded as image/svg+xml resources otherwise.');
+
+const ThumbnailSizeSchema = z
+  .number()
+  .int()
+  .min(64)
+  .max(2048)
+  .optional()
+  .describe('Longest side of image thumbnails in pixels. Defaults to MCP_THUMBNAIL_SIZE (512).');
+
+const ProfileNameSchema = z
+  .string()
+  .regex(PROFILE_NAME_PATTERN, 'Profile names may contain letters, digits, ".", "_" and "-" (max 64).');
+
+const UploadFileSchema = z
+  .object({
+    path: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Path to a local image file (absolute or relative to the server working directory).'),
+    base64: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Inline base64-encoded image bytes. A data: URL (data:image/png;base64,...) is also accepted.'),
+    filename: z
+      .string()
+      .min(1)
+      .optional()
+      .describe('Optional filename sent with the upload. Defaults to the local file name or upload.<ext>.')
+  })
+  .refine((file) => Boolean(file.path) !== Boolean(file.base64), {
+    message: 'Provide exactly one of path or base64.'
+  });
+
+const CallApiInputSchema = z.object({
+  method: z
+    .enum(['GET', 'POST', 'PUT', 'PATCH', 'DELETE'])
+    .default('GET')
+    .describe('HTTP verb to use. Defaults to GET.'),
+  path: z
+    .string()
+    .min(1)
+    .describe('Path relative to the api prefix. Example: service/pbn'),
+  query: z
+    .record(QueryValueSchema.or(z.array(QueryValueSchema)))
+    .optional()
+    .describe('Optional query string parameters.'),
+  body: z
+    .union([z.string(), z.array(z.any()), z.record(z.any())])
+    .optional()
+    .describe('Optional request payload. Objects/arrays will be JSON-encoded automatically. When files are supplied, object fields are sent as multipart form fields instead.'),
+  files: z
+    .record(UploadFileSchema)
+    .optional()
+    .describe('Optional image uploads keyed by form field name (e.g. {"image": {"path": "/photos/cat.jpg"}}). Sends the request as multipart/form-data. Accepted formats: jpg, jpeg, png, webp, heic, heif. Maximum size: 20MB. Maximum dimensions: 15000x15000px (4000x4000px for service/image/upscale).'),
+  token: z
+    .string()
+    .optional()
+    .describe('Optional API token override. Normally omitted: the server uses the token captured by auth/login (or MCP_API_TOKEN) for the active profile and prefixes it with "Bearer ".'),
+  profile: ProfileNameSchema.optional().describe(
+    'Credential profile to use for this call (and, for auth/login, to store the token in). Defaults to the active profile.'
+  ),
+  headers: z
+    .record(z.string())
+    .optional()
+    .describe('Additional headers to send with the request.'),
+  timeoutMs: z
+    .number()
+    .int()
+    .positive()
+    .max(MAX_TIMEOUT_MS)
+    .optional()
+    .describe('Override the default timeout (ms). Max 120000.'),
+  maxRetries: z
+    .number()
+    .int()
+    .min(0)
+    .max(MAX_RETRIES)
+    .optional()
+    .describe(`Retries for transient failures (network errors, 408, 425, 429, 5xx), with exponential backoff and jitter that honours Retry-After. Defaults to MCP_API_MAX_RETRIES. Only GET requests are retried unless retryUnsafe or idempotencyKey is set. Max ${MAX_RETRIES}.`),
+  retryUnsafe: z
+    .boolean()
+    .optional()
+    .describe('Allow retrying non-idempotent requests (POST, PUT, PATCH, DELETE). A retried creation request may spend credits twice. Defaults to false.'),
+  idempotencyKey: z
+    .string()
+    .min(1)
+    .max(255)
+    .optional()
+    .describe('Sent as the Idempotency-Key header. Enables retries for non-idempotent requests, since the key lets the backend de-duplicate them.'),
+  outputDir: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Directory to save file downloads (binary or attachment responses) into instead of returning them inline. Defaults to MCP_DOWNLOAD_DIR when set.'),
+  imageOutput: ImageOutputSchema,
+  thumbnailSize: ThumbnailSizeSchema,
+  skipValidation: z
+    .boolean()
+    .optional()
+    .describe('Skip API_ROUTES schema validation. Required to call routes that are not listed by list_api_routes (unknown or experimental endpoints). In strict mode (MCP_STRICT_MODE) those must also match MCP_ALLOWED_PATHS. Defaults to false.'),
+  dryRun: z
+    .boolean()
+    .optional()
+    .describe('Validate and build the request, then return it (URL, masked headers, serialized body, credit cost) without sending it. Nothing is spent and no confirmation is asked. Defaults to false.')
+});
+
+const SavedFileSchema = z.object({
+  path: z.string().describe('Absolute path of the saved file.'),
+  filename: z.string(),
+  size: z.number().describe('File size in bytes.'),
+  mimeType: z.string(),
+  sha256: z.string().describe('Hex-encoded SHA-256 of the file contents.')
+});
+
+const CallApiOutputSchema = z.object({
+  request: z.object({
+    method: z.string(),
+    url: z.string(),
+    path: z.string(),
+    profile: z.string().nullable().describe('Credential profile used for the request, or null when an explicit token was passed.'),
+    route: z.string().nullable().describe('Matched API_ROUTES path template, or null for undeclared routes.'),
+    headers: z.record(z.string()),
+    query: z.record(z.any()).nullable(),
+    body: z.any().nullable(),
+    uploads: z
+      .array(
+        z.object({
+          field: z.string(),
+          filename: z.string(),
+          mimeType: z.string(),
+          size: z.number(),
+          width: z.number().nullable(),
+          height: z.number().nullable()
+        })
+      )
+      .nullable()
+      .describe('Files sent as multipart/form-data parts, or null when no files were uploaded.'),
+    timeoutMs: z.number(),
+    attempts: z.number().describe('Number of HTTP attempts made, including retries.'),
+    serializedBody: z
+      .string()
+      .nullable()
+      .optional()
+      .describe('Dry runs only: the body as it would be sent, with password and token fields masked.'),
+    creditCost: z.number().optional().describe('Dry runs only: credits the request would spend.')
+  }),
+  dryRun: z.boolean().describe('True when the request was built but not sent.'),
+  response: z.object({
+    status: z.number(),
+    statusText: z.string(),
+    ok: z.boolean(),
+    headers: z.record(z.string()),
+    body: z.any().nullable(),
+    rawText: z.string(),
+    isBinary: z.boolean().describe('True when the response body is binary. rawText then holds base64-encoded bytes unless the file was saved or omitted.'),
+    savedFile: SavedFileSchema.nullable().describe('File the response body was saved to, or null when returned inline.'),
+    bodyOmitted: z
+      .boolean()
+      .describe('True when the body exceeded MCP_MAX_INLINE_BYTES and was dropped; retry with outputDir to save it.')
+  }).nullable().describe('Null for dry runs.')
+});
+
+const ListApiRoutesInputSchema = z.object({
+  filter: z
+    .string()
+    .trim()
+    .min(1)
+    .optional()
+    .describe('Optional case-insensitive filter applied to method, path, or description.'),
+  group: z
+    .string()
+    .trim()
+    .min(1)
+    .optional()
+    .describe('Filter by logical group (auth, service).'),
+  schemaFormat: z
+    .enum(SCHEMA_FORMATS)
+    .optional()
+    .describe(
+      'How inputSchema and outputSchema are returned: "summary" (compact type outline, default) or "json-schema" (JSON Schema draft 2020-12 with every bound, pattern, default, description, and refinement rule).'
+    )
+});
+
+const JsonSchemaDocumentSchema = z.record(z.any()).describe('JSON Schema (draft 2020-12) document.');
+
+const ListApiRoutesOutputSchema = z.object({
+  routes: z.array(
+    z.object({
+      method: z.string(),
+      path: z.string(),
+      toolName: z.string().describe('Name of the typed tool that calls this route.'),
+      description: z.string(),
+      authRequired: z.boolean(),
+      group: z.string().nullable(),
+      notes: z.string().nullable(),
+      inputSchema: z.union([SchemaSummarySchema, JsonSchemaDocumentSchema]),
+      outputSchema: z.union([SchemaSummarySchema, JsonSchemaDocumentSchema])
+    })
+  ),
+  total: z.number(),
+  schemaFormat: z.enum(SCHEMA_FORMATS)
+});
+
+const ExportOpenApiInputSchema = z.object({
+  group: z
+    .string()
+    .trim()
+    .min(1)
+    .optional()
+    .describe('Only export routes in this group (auth, service). Defaults to every route.'),
+  outputDir: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Directory to write the document to. Defaults to MCP_DOWNLOAD_DIR. Without either, the document is returned inline.'),
+  filename: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('File name without extension. Defaults to openapi. Existing files are never overwritten; a numeric suffix is added instead.')
+});
+
+const ExportOpenApiOutputSchema = z.object({
+  openapi: z.string().describe('OpenAPI version of the document.'),
+  routeCount: z.number(),
+  file: SavedFileSchema.nullable().describe('The written file, or null when the document is returned inline.'),
+  document: z.record(z.any()).nullable().describe('The OpenAPI document when no output directory was given.')
+});
+
+const WaitForItemInputSchema = z.object({
+  uuid: z.string().uuid().describe('Task key returned by a creation route (the "key" field).'),
+  intervalMs: z
+    .number()
+    .int()
+    .min(1000)
+    .max(MAX_POLL_INTERVAL_MS)
+    .optional()
+    .describe('Delay before the second poll (ms). Defaults to 3000.'),
+  backoffFactor: z
+    .number()
+    .min(1)
+    .max(4)
+    .optional()
+    .describe('Multiplier applied to the delay after each poll. Defaults to 1.5; use 1 for a fixed interval.'),
+  maxIntervalMs: z
+    .number()
+    .int()
+    .min(1000)
+    .max(MAX_POLL_INTERVAL_MS)
+    .optional()
+    .describe('Upper bound for the delay between polls (ms). Defaults to 30000.'),
+  deadlineMs: z
+    .number()
+    .int()
+    .min(1000)
+    .max(MAX_WAIT_DEADLINE_MS)
+    .optional()
+    .describe('Overall time to wait before giving up (ms). Defaults to 300000, max 1800000.'),
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile,
+  imageOutput: ImageOutputSchema,
+  thumbnailSize: ThumbnailSizeSchema
+});
+
+const WaitForItemOutputSchema = z.object({
+  uuid: z.string(),
+  outcome: z
+    .enum(['ready', 'failed', 'timeout'])
+    .describe('ready: item finished; failed: item or request failed; timeout: deadline reached before the item finished.'),
+  status: z.string().nullable().describe('Last status reported by service/item/{uuid}.'),
+  attempts: z.number().describe('Number of polls made.'),
+  elapsedMs: z.number(),
+  item: z.record(z.any()).nullable().describe('Last service/item/{uuid} payload (images, colors, parameters).'),
+  error: z.string().nullable()
+});
+
+const AuthProfileSummarySchema = z.object({
+  name: z.string(),
+  active: z.boolean(),
+  authenticated: z.boolean().describe('True when a token is stored for the profile.'),
+  source: z.enum(['env', 'login']).nullable().describe('Where the stored token came from.'),
+  account: z
+    .object({
+      userId: z.number().optional(),
+      email: z.string().optional(),
+      plan: z.string().optional(),
+      credits: z.number().optional()
+    })
+    .nullable()
+    .describe('Account details captured from auth/login and user/me.'),
+  updatedAt: z.string().nullable()
+});
+
+const ListAuthProfilesOutputSchema = z.object({
+  activeProfile: z.string(),
+  profiles: z.array(AuthProfileSummarySchema)
+});
+
+const PBN_ROUTE = API_ROUTES.find((route) => route.method === 'POST' && route.path === 'service/pbn');
+
+const PhotoToPbnKitInputSchema = buildRouteToolInputSchema(PBN_ROUTE).extend({
+  imageFormats: z
+    .array(z.enum(PBN_KIT_IMAGE_TYPES))
+    .min(1)
+    .optional()
+    .describe(`PBN image formats to download (download_pbn types). Defaults to ${DEFAULT_KIT_IMAGE_FORMATS.join(', ')}.`),
+  paletteFormats: z
+    .array(z.enum(PBN_COLOR_DOWNLOAD_TYPES))
+    .optional()
+    .describe(`Palette formats to download (download_pbn_colors types). Defaults to ${DEFAULT_KIT_PALETTE_FORMATS.join(', ')}; pass [] to skip.`),
+  outputDir: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Directory the kit folder is created in. Defaults to MCP_DOWNLOAD_DIR; one of them is required.'),
+  kitName: z
+    .string()
+    .min(1)
+    .max(100)
+    .optional()
+    .describe('Name of the kit folder. Defaults to pbn-kit-<key>.'),
+  intervalMs: WaitForItemInputSchema.shape.intervalMs,
+  deadlineMs: WaitForItemInputSchema.shape.deadlineMs
+});
+
+const KitFileSchema = SavedFileSchema.extend({
+  kind: z.enum(['image', 'palette']),
+  type: z.string().describe('download_pbn or download_pbn_colors type.')
+});
+
+const PhotoToPbnKitOutputSchema = z.object({
+  key: z.string().describe('Key of the created PBN item.'),
+  outcome: WaitForItemOutputSchema.shape.outcome,
+  status: z.string().nullable(),
+  kitDir: z.string().nullable().describe('Kit folder, or null when the item never became ready.'),
+  manifestPath: z.string().nullable(),
+  files: z.array(KitFileSchema),
+  failures: z
+    .array(
+      z.object({
+        kind: z.enum(['image', 'palette']),
+        type: z.string(),
+        status: z.number().nullable().describe('HTTP status, or null for network errors.'),
+        error: z.string()
+      })
+    )
+    .describe('Downloads that failed. The other files are still saved.'),
+  error: z.string().nullable()
+});
+
+const BATCH_TOOL_NAMES = API_ROUTES.filter((route) => route.createsItem).map(getRouteToolName);
+
+const SubmitBatchInputSchema = z.object({
+  tool: z
+    .enum(BATCH_TOOL_NAMES)
+    .describe('Creation tool to run for every input, e.g. create_coloring_page or upscale_image.'),
+  items: z
+    .array(z.record(z.any()))
+    .min(1)
+    .max(MAX_BATCH_ITEMS)
+    .describe(`Inputs for the tool, one object per job (max ${MAX_BATCH_ITEMS}). Each takes the same fields as the tool itself, including files for local uploads.`),
+  defaults: z
+    .record(z.any())
+    .optional()
+    .describe('Fields applied to every item unless the item sets them, e.g. {"type": "v2_general"}.'),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_BATCH_CONCURRENCY)
+    .optional()
+    .describe(`Maximum number of requests in flight at once, for submissions and status checks. Defaults to ${DEFAULT_BATCH_CONCURRENCY}, max ${MAX_BATCH_CONCURRENCY}.`),
+  wait: z
+    .boolean()
+    .optional()
+    .describe('Track every submitted key through service/item/{uuid} until it is ready, fails, or the deadline passes. Defaults to true.'),
+  intervalMs: WaitForItemInputSchema.shape.intervalMs,
+  deadlineMs: WaitForItemInputSchema.shape.deadlineMs,
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile,
+  timeoutMs: CallApiInputSchema.shape.timeoutMs,
+  maxRetries: CallApiInputSchema.shape.maxRetries,
+  retryUnsafe: CallApiInputSchema.shape.retryUnsafe
+});
+
+const BatchItemResultSchema = z.object({
+  index: z.number().describe('Position of the input in items.'),
+  key: z.string().nullable().describe('Task key, or null when the submission was rejected.'),
+  outcome: z
+    .enum(['ready', 'failed', 'pending', 'rejected'])
+    .describe('rejected: submission failed; pending: still processing (or not tracked).'),
+  status: z.string().nullable().describe('Last status reported by the backend.'),
+  outputs: z.array(z.string()).describe('Output image URLs of ready items.'),
+  error: z.string().nullable()
+});
+
+const SubmitBatchOutputSchema = z.object({
+  tool: z.string(),
+  total: z.number(),
+  submitted: z.number(),
+  ready: z.number(),
+  failed: z.number(),
+  pending: z.number(),
+  rejected: z.number(),
+  elapsedMs: z.number(),
+  items: z.array(BatchItemResultSchema)
+});
+
+const CreditBudgetSchema = z.object({
+  spent: z.number().describe('Credits reserved so far.'),
+  budget: z.number().nullable().describe('Configured budget, or null when unlimited.'),
+  remaining: z.number().nullable()
+});
+
+const EstimateCreditsInputSchema = z.object({
+  tool: z
+    .string()
+    .min(1)
+    .describe('Route tool to price, e.g. create_pbn or upscale_image (see list_api_routes for tool names).'),
+  input: z
+    .record(z.any())
+    .optional()
+    .describe('Arguments you plan to pass to the tool. Only needed when the cost depends on parameters.'),
+  count: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_BATCH_ITEMS)
+    .optional()
+    .describe(`Number of calls, e.g. the size of a submit_batch run (1–${MAX_BATCH_ITEMS}). Defaults to 1.`),
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile
+});
+
+const EstimateCreditsOutputSchema = z.object({
+  tool: z.string(),
+  route: z.string().describe('METHOD path of the priced route.'),
+  costPerCall: z.number(),
+  count: z.number(),
+  total: z.number(),
+  balance: z.number().nullable().describe('Credits on the account from user/me, or null when it could not be read.'),
+  session: CreditBudgetSchema,
+  daily: CreditBudgetSchema.describe('Credits reserved since local midnight, across restarts.'),
+  allowed: z
+    .boolean()
+    .describe('False when the total exceeds the balance or a budget; the calls would then be refused or need confirmation.')
+});
+
+const DateFilterSchema = z
+  .string()
+  .refine((value) => parseDateFilter(value) !== null, {
+    message: 'Use an ISO 8601 date or timestamp, e.g. 2026-10-18 or 2026-10-18T09:00:00Z.'
+  });
+
+const JobSchema = z.object({
+  key: z.string(),
+  route: z.string().describe('Creation route, e.g. "POST service/pbn".'),
+  toolName: z.string(),
+  profile: z.string().nullable().describe('Credential profile the job was created with.'),
+  parameters: z.any().nullable().describe('Request body sent to the creation route (passwords and tokens masked).'),
+  uploads: z.any().nullable().describe('Summary of uploaded files, if any.'),
+  created: z.string().describe('Creation timestamp reported by the backend.'),
+  recordedAt: z.string().describe('When the job was recorded locally (ISO 8601).'),
+  status: z.string().nullable().describe('Last known status.'),
+  title: z.string().nullable().describe('Last known title.'),
+  updatedAt: z.string().describe('When status or title last changed locally (ISO 8601).')
+});
+
+const ListJobsInputSchema = z.object({
+  route: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Only jobs from this tool or route, e.g. create_pbn or service/pbn.'),
+  status: z.string().min(1).optional().describe('Only jobs whose last known status matches, e.g. ready.'),
+  since: DateFilterSchema.optional().describe('Only jobs created on or after this date/time.'),
+  until: DateFilterSchema.optional().describe('Only jobs created on or before this date/time (a plain date includes the whole day).'),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_JOB_HISTORY)
+    .optional()
+    .describe(`Maximum number of jobs to return, newest first. Defaults to ${DEFAULT_JOB_LIST_LIMIT}.`)
+});
+
+const ListJobsOutputSchema = z.object({
+  now: z.string().describe('Current server time (ISO 8601), for resolving relative dates like "yesterday".'),
+  total: z.number().describe('Number of jobs matching the filters.'),
+  jobs: z.array(JobSchema)
+});
+
+const JobKeyInputSchema = z.object({
+  key: z.string().min(1).describe('Job key returned by a creation route.')
+});
+
+const RefreshJobInputSchema = JobKeyInputSchema.extend({
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile,
+  imageOutput: ImageOutputSchema,
+  thumbnailSize: ThumbnailSizeSchema
+});
+
+const RefreshJobOutputSchema = z.object({
+  job: JobSchema,
+  item: z.record(z.any()).describe('Current service/item/{uuid} payload.')
+});
+
+const HexColorSchema = z
+  .string()
+  .regex(HEX_COLOR_PATTERN, 'Use a 6-digit hex color, with or without #.')
+  .describe('6-digit hex color, with or without leading #. Example: "a3c2f0".');
+
+const PaletteColorInputSchema = z.union([
+  HexColorSchema,
+  z.object({
+    hex: HexColorSchema,
+    name: z.string().nullish().describe('Color name, e.g. "Cadmium Red".'),
+    code: z.union([z.string(), z.number()]).nullish().describe('Palette code or number, e.g. 12.')
+  })
+]);
+
+const PaletteSourceShape = {
+  palette: z
+    .array(PaletteColorInputSchema)
+    .min(1)
+    .max(MAX_PALETTE_COLORS)
+    .optional()
+    .describe('Palette colors as hex strings or {hex, name, code} objects, e.g. the colors of a parse_palette result.'),
+  paletteFile: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Path to a palette file in any format parse_palette reads (.csv, .gpl, .kpl, .swatches, .zip, .ase, .json), e.g. one downloaded with download_pbn_colors. Used when palette is omitted.')
+};
+
+const ColorMatchSchema = z.object({
+  color: ColorInfoSchema,
+  deltaE: z.number().describe('CIEDE2000 difference.')
+});
+
+const ColorDeltaEInputSchema = z.object({
+  colors: z
+    .array(HexColorSchema)
+    .min(2)
+    .max(20)
+    .describe('Two or more colors. Every pair is compared.')
+});
+
+const ColorDeltaEOutputSchema = z.object({
+  colors: z.array(ColorInfoSchema),
+  pairs: z.array(
+    z.object({
+      a: z.string(),
+      b: z.string(),
+      deltaE: z.number().describe('CIEDE2000 difference.'),
+      perception: z.string()
+    })
+  )
+});
+
+const FindNearestColorInputSchema = z.object({
+  colors: z.array(HexColorSchema).min(1).max(100).describe('Colors to look up in the palette.'),
+  ...PaletteSourceShape,
+  limit: z.number().int().min(1).max(10).optional().describe('Matches to return per color, closest first. Defaults to 1.')
+});
+
+const FindNearestColorOutputSchema = z.object({
+  results: z.array(
+    z.object({
+      target: ColorInfoSchema,
+      matches: z.array(ColorMatchSchema)
+    })
+  )
+});
+
+const FindNearDuplicatesInputSchema = z.object({
+  ...PaletteSourceShape,
+  threshold: z
+    .number()
+    .min(0)
+    .max(50)
+    .optional()
+    .describe(`Flag pairs with a CIEDE2000 difference at or below this value. Defaults to ${DEFAULT_DUPLICATE_THRESHOLD}.`)
+});
+
+const FindNearDuplicatesOutputSchema = z.object({
+  threshold: z.number(),
+  paletteSize: z.number(),
+  pairs: z.array(
+    z.object({
+      a: ColorInfoSchema,
+      b: ColorInfoSchema,
+      deltaE: z.number()
+    })
+  )
+});
+
+const ColorHarmoniesInputSchema = z.object({
+  hex: HexColorSchema,
+  types: z
+    .array(z.enum(HARMONY_TYPES))
+    .min(1)
+    .optional()
+    .describe(`Harmonies to generate: ${HARMONY_TYPES.join(', ')}. Defaults to all.`),
+  analogousAngle: z
+    .number()
+    .min(5)
+    .max(90)
+    .optional()
+    .describe(`Hue step for analogous colors in degrees. Defaults to ${DEFAULT_ANALOGOUS_ANGLE}.`),
+  ...PaletteSourceShape
+});
+
+const ColorHarmoniesOutputSchema = z.object({
+  base: ColorInfoSchema,
+  harmonies: z.array(
+    z.object({
+      type: z.enum(HARMONY_TYPES),
+      colors: z.array(
+        z.object({
+          color: ColorInfoSchema,
+          nearest: ColorMatchSchema.nullable().describe('Closest palette color, when a palette was supplied.')
+        })
+      )
+    })
+  )
+});
+
+const PaletteSourceInputShape = {
+  path: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Local palette file: .csv, .gpl, .kpl, Procreate .swatches (or a .zip of them), .ase, or .json design tokens.'),
+  text: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Text palette contents (csv, gpl, json, or kpl XML), e.g. rawText from download_pbn_colors or call_api.'),
+  format: z
+    .enum(PALETTE_FORMATS)
+    .optional()
+    .describe('Format of path or text. Detected from the file extension or contents when omitted.'),
+  uuid: z.string().uuid().optional().describe('PBN item key to download the palette of (with type).'),
+  type: z
+    .enum(PALETTE_DOWNLOAD_FORMATS)
+    .optional()
+    .describe('download_pbn_colors type to fetch for uuid. Defaults to csv.'),
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile
+};
+
+const ParsePaletteInputSchema = z.object(PaletteSourceInputShape);
+
+const ConvertPaletteInputSchema = z.object({
+  ...PaletteSourceInputShape,
+  to: z
+    .enum(PALETTE_EXPORT_FORMATS)
+    .describe(
+      'Target format. csv: Code, Name, Hex, RGB, HSL columns. gpl: GIMP. kpl: Krita. swatches: Procreate (a .zip of several .swatches files above 30 colors). ase: Adobe Swatch Exchange. css: custom properties. tailwind: tailwind.config.js colors. json: design tokens (DTCG format).'
+    ),
+  outputDir: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Directory to write the converted file to. Defaults to MCP_DOWNLOAD_DIR. Without either, text formats are returned inline and binary formats (kpl, swatches, ase) fail.'),
+  filename: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('File name without extension. Defaults to the palette name. Existing files are never overwritten; a numeric suffix is added instead.'),
+  name: z.string().min(1).optional().describe('Palette name to write, overriding the source name.'),
+  prefix: z
+    .string()
+    .regex(/^[A-Za-z][\w-]*$/)
+    .optional()
+    .describe('Variable prefix for css (--prefix-12-red) and key for tailwind colors. Defaults to a slug of the palette name, or "palette".')
+});
+
+const PlanPaintRecipesInputSchema = z.object({
+  uuid: z
+    .string()
+    .uuid()
+    .optional()
+    .describe('Ready PBN item whose palette to plan. Its csv palette is downloaded and color areas are read from the item when the backend provides them.'),
+  ...PaletteSourceShape,
+  breakdown: z
+    .enum(RECIPE_BREAKDOWNS)
+    .optional()
+    .describe('Which unmix_color breakdown to use. secondary: primary plus secondary pigments (unmix). primary: only red, yellow, blue, black, white (unmix_primary), for the smallest set of tubes. Defaults to secondary.'),
+  totalVolumeMl: z
+    .number()
+    .positive()
+    .max(100000)
+    .optional()
+    .describe('Total paint to mix for the whole picture, in ml. Split over colors by painted area when known, otherwise equally. Omit to get proportions only.'),
+  concurrency: z
+    .number()
+    .int()
+    .min(1)
+    .max(MAX_BATCH_CONCURRENCY)
+    .optional()
+    .describe(`Maximum unmix requests in flight at once. Defaults to ${DEFAULT_BATCH_CONCURRENCY}, max ${MAX_BATCH_CONCURRENCY}.`),
+  outputDir: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('Directory to write the recipe sheet to. Defaults to MCP_DOWNLOAD_DIR. Without either, the sheet is only returned inline.'),
+  exportFormats: z
+    .array(z.enum(RECIPE_EXPORT_FORMATS))
+    .min(1)
+    .optional()
+    .describe('Sheet formats to write when a directory is set. Defaults to csv and markdown.'),
+  filename: z
+    .string()
+    .min(1)
+    .optional()
+    .describe('File name for the sheet, without extension. Defaults to "<palette name> recipes".'),
+  token: CallApiInputSchema.shape.token,
+  profile: CallApiInputSchema.shape.profile
+});
+
+const PigmentAmountSchema = z.object({
+  pigment: z.string(),
+  proportion: z.number().describe('Share of this pigment in the mix (0–1).'),
+  volumeMl: z.number().nullable().describe('Amount of this pigment in ml, when totalVolumeMl was given.')
+});
+
+const PaintRecipeSchema = z.object({
+  code: z.string().nullable(),
+  name: z.string().nullable(),
+  hex: z.string(),
+  areaShare: z.number().nullable().describe('Share of the painted area (0–1) reported by the backend, or null.'),
+  volumeMl: z.number().nullable().describe('Paint to mix for this color in ml, when totalVolumeMl was given.'),
+  pigments: z.array(PigmentAmountSchema).describe('Pigments in this mix, largest share first.'),
+  error: z.string().nullable().describe('Why unmixing this color failed, or null.')
+});
+
+const PlanPaintRecipesOutputSchema = z.object({
+  uuid: z.string().nullable(),
+  paletteName: z.string().nullable(),
+  breakdown: z.enum(RECIPE_BREAKDOWNS),
+  areasFromBackend: z.boolean().describe('True when volumes are scaled by painted area from the item; false when split equally.'),
+  totalVolumeMl: z.number().nullable(),
+  recipes: z.array(PaintRecipeSchema),
+  pigmentTotals: z
+    .array(
+      z.object({
+        pigment: z.string(),
+        colorCount: z.number().describe('Number of colors that use this pigment.'),
+        volumeMl: z.number().nullable().describe('Total ml of this pigment across all colors, when totalVolumeMl was given.')
+      })
+    )
+    .describe('Every pigment the sheet needs: the tubes to have on hand.'),
+  failed: z.number().describe('Colors that could not be unmixed.'),
+  files: z.array(SavedFileSchema).describe('Exported recipe sheets.')
+});
+
+const ConvertPaletteOutputSchema = z.object({
+  format: z.enum(PALETTE_EXPORT_FORMATS),
+  sourceFormat: z.enum(PALETTE_FORMATS),
+  name: z.string().nullable(),
+  colorCount: z.number(),
+  file: SavedFileSchema.nullable().describe('The written file, or null when the result is returned inline.'),
+  text: z.string().nullable().describe('Converted contents when no output directory was given (text formats only).')
+});
+
+const SwitchAuthProfileInputSchema = z.object({
+  profile: ProfileNameSchema.describe('Profile to make active. Unknown profiles are created empty; call login afterwards to sign them in.')
+});
+
+function createMcpServer(session) {
+  const server = new McpServer(SERVER_INFO, {
+    instructions: [
+      'Interact with the Mimi Panda API.',
+      `Current base URL: ${CONFIG.baseUrl}`,
+      `API prefix: ${CONFIG.apiPrefix}`,
+      'Call list_api_routes to inspect request parameters, including all enum/option values, before invoking call_api.',
+      'Each route in list_api_routes is also exposed as a typed tool (for example create_pbn, mix_colors, download_pbn) that fills path parameters automatically; prefer those over call_api.',
+      'After a creation route returns a key, call wait_for_item with that key instead of polling service/item/{uuid} through call_api.',
+      'To run the same creation tool over many inputs, use submit_batch rather than one call per input.',
+      'Creation tools spend credits. Call estimate_credits before large runs; requests over the balance or the configured session or daily budget are refused or need the user\'s confirmation.',
+      'To turn a downloaded palette into structured colors (code, name, hex, rgb, hsl) for unmix_color, mix_colors, or the color tools, use parse_palette; to turn it into another format (ASE, CSS, Tailwind, JSON tokens, GIMP, Krita, Procreate), use convert_palette.',
+      'To plan how to mix every color of a PBN palette from tube paints, use plan_paint_recipes rather than calling unmix_color per color.',
+      'To make a complete printable paint-by-numbers kit (PBN images plus palette files on disk), use photo_to_pbn_kit instead of chaining create_pbn, wait_for_item, and downloads.',
+      `Items created in this session are listed as ${RESOURCE_URI_SCHEME}://item/{uuid} resources; ready PBN files and palettes are available as ${RESOURCE_URI_SCHEME}://item/{uuid}/pbn/{type} and ${RESOURCE_URI_SCHEME}://item/{uuid}/colors/{type}.`,
+      'call_api validates path, query, and body against the matching route schema before sending; set skipValidation=true only for undeclared or experimental routes. Paths must stay under the API prefix, and headers cannot set Authorization or Host.',
+      'Set dryRun=true on call_api to see the exact request (URL, masked headers, body, credit cost) without sending it. When MCP_CONFIRM is set, destructive or credit-spending requests wait for the user to confirm.',
+      'Authenticate once per session with login (auth/login): the server stores the token for the active profile and uses it on every later call. Never ask for or repeat the token in tool arguments.',
+      'Use list_auth_profiles and switch_auth_profile to work with several accounts (for example personal and team). logout (user/logout) clears the stored token.',
+      'A 401 response means the stored token is missing or expired; call login again or switch profiles.',
+      'get_item, wait_for_item, and PNG/JPEG/SVG downloads return ready images as image content (thumbnails by default); set imageOutput to full or none to change that.',
+      'Pass outputDir to download routes (or set MCP_DOWNLOAD_DIR) to save files to disk instead of returning base64 in rawText.',
+      'Set MCP_API_BASE_URL, MCP_API_PREFIX, MCP_API_TOKEN, and MCP_API_TIMEOUT (ms) to override defaults.'
+    ].join('\n')
+  });
+
+  server.registerTool(
+    'call_api',
+    {
+      title: 'Call API',
+      description:
+        'Send arbitrary HTTP requests to Mimi Panda endpoints (automatically prefixed with MCP_API_PREFIX).',
+      inputSchema: CallApiInputSchema,
+      outputSchema: CallApiOutputSchema
+    },
+    async (args) => {
+      try {
+        const result = await callApi(await confineLocalPaths(session, args), session);
+        if (result.dryRun) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatDryRunSummary(result)
+              }
+            ],
+            structuredContent: result
+          };
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatCallSummary(result)
+            },
+            ...createItemResourceLinks(result),
+            ...(await buildResponseImageContent(result, args))
+          ],
+          structuredContent: result
+        };
+      } catch (error) {
+        if (error instanceof RequestValidationError) {
+          return createValidationErrorResult(error);
+        }
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to call API: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'list_api_routes',
+    {
+      title: 'List API routes',
+      description:
+        'Return the curated list of Mimi Panda API routes. Set schemaFormat="json-schema" to get each route\'s input and output as JSON Schema with all constraints.',
+      inputSchema: ListApiRoutesInputSchema,
+      outputSchema: ListApiRoutesOutputSchema
+    },
+    async ({ filter, group, schemaFormat = 'summary' }) => {
+      const normalizedFilter = filter?.toLowerCase() ?? null;
+      const normalizedGroup = group?.toLowerCase() ?? null;
+      const filtered = API_ROUTES.filter((route) => {
+        if (normalizedGroup && route.group?.toLowerCase() !== normalizedGroup) {
+          return false;
+        }
+        if (!normalizedFilter) {
+          return true;
+        }
+        return (
+          route.path.toLowerCase().includes(normalizedFilter) ||
+          route.method.toLowerCase().includes(normalizedFilter) ||
+          (route.description?.toLowerCase().includes(normalizedFilter) ?? false) ||
+          (route.group?.toLowerCase().includes(normalizedFilter) ?? false)
+        );
+      });
+
+      const describeSchema = schemaFormat === 'json-schema' ? toJsonSchema : summarizeSchema;
+      const humanReadable = filtered.length
+        ? filtered
+            .map((route) => formatRouteSummary(route, schemaFormat))
+            .join('\n\n')
+        : 'No routes matched the provided filters.';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: humanReadable
+          }
+        ],
+        structuredContent: {
+          routes: filtered.map((route) => ({
+            method: route.method,
+            path: route.path,
+            toolName: getRouteToolName(route),
+            description: route.description,
+            authRequired: route.authRequired,
+            group: route.group ?? null,
+            notes: route.notes ?? null,
+            inputSchema: describeSchema(route.inputSchema),
+            outputSchema: describeSchema(route.outputSchema)
+          })),
+          total: filtered.length,
+          schemaFormat
+        }
+      };
+    }
+  );
+
+  server.registerTool(
+    'export_openapi',
+    {
+      title: 'Export OpenAPI',
+      description:
+        'Export the API route catalog (including routes imported with MCP_OPENAPI_SPEC) as an OpenAPI 3.1 JSON document, with JSON Schema for every request and response.',
+      inputSchema: ExportOpenApiInputSchema,
+      outputSchema: ExportOpenApiOutputSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, openWorldHint: false }
+    },
+    async ({ group, outputDir, filename }) => {
+      try {
+        const { outputDir: targetDir } = await confineLocalPaths(session, { outputDir });
+        const result = await exportOpenApi({ group, outputDir: targetDir ?? CONFIG.downloadDir, filename });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: result.file
+                ? `Exported ${result.routeCount} routes as OpenAPI ${result.openapi}: ${result.file.path} (${formatBytes(result.file.size)})`
+                : JSON.stringify(result.document, null, 2)
+            }
+          ],
+          structuredContent: result
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to export OpenAPI: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'wait_for_item',
+    {
+      title: 'Wait for item',
+      description:
+        'Poll service/item/{uuid} until the task is ready, fails, or the deadline passes. Sends progress notifications with the current status.',
+      inputSchema: WaitForItemInputSchema,
+      outputSchema: WaitForItemOutputSchema
+    },
+    async (args, extra) => {
+      try {
+        const result = await waitForItem(args, extra, session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatWaitSummary(result)
+            },
+            ...(result.outcome === 'ready' ? await buildItemImageContent(result.item, args) : [])
+          ],
+          structuredContent: result,
+          isError: result.outcome === 'failed'
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to wait for item: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'list_auth_profiles',
+    {
+      title: 'List auth profiles',
+      description:
+        'List credential profiles for this session, which one is active, and whether each holds a token. Tokens themselves are never returned.',
+      inputSchema: z.object({}),
+      outputSchema: ListAuthProfilesOutputSchema
+    },
+    async () => {
+      const result = {
+        activeProfile: session.credentials.activeProfile,
+        profiles: session.credentials.list()
+      };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatProfileList(result.profiles)
+          }
+        ],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'switch_auth_profile',
+    {
+      title: 'Switch auth profile',
+      description:
+        'Make another credential profile active for subsequent calls (for example to move between a personal and a team account).',
+      inputSchema: SwitchAuthProfileInputSchema,
+      outputSchema: ListAuthProfilesOutputSchema
+    },
+    async ({ profile }) => {
+      session.credentials.switchTo(profile);
+      const result = {
+        activeProfile: session.credentials.activeProfile,
+        profiles: session.credentials.list()
+      };
+      const authenticated = session.credentials.getToken(profile) !== null;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: [
+              `Active profile: ${profile}${authenticated ? '' : ' (not signed in; call login to authenticate it)'}`,
+              formatProfileList(result.profiles)
+            ].join('\n')
+          }
+        ],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'photo_to_pbn_kit',
+    {
+      title: 'Photo to PBN kit',
+      description:
+        'Create a paint-by-numbers item, wait until it is ready, download the chosen image and palette formats in parallel, and write them to a kit folder with a manifest.json describing the files, PBN parameters, and palette. Takes the same parameters as create_pbn.',
+      inputSchema: PhotoToPbnKitInputSchema,
+      outputSchema: PhotoToPbnKitOutputSchema,
+      annotations: {
+        readOnlyHint: false,
+        openWorldHint: true
+      }
+    },
+    async (args, extra) => {
+      try {
+        const result = await buildPbnKit(await confineLocalPaths(session, args), extra, session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatKitSummary(result)
+            },
+            ...createItemResourceLinks(result.creation)
+          ],
+          structuredContent: result.kit,
+          isError: result.kit.outcome === 'failed' || (result.kit.outcome === 'ready' && !result.kit.files.length)
+        };
+      } catch (error) {
+        if (error instanceof RequestValidationError) {
+          return createValidationErrorResult(error);
+        }
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to build PBN kit: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'submit_batch',
+    {
+      title: 'Submit batch',
+      description:
+        'Run one creation tool (for example create_coloring_page or upscale_image) over a list of inputs with a concurrency cap, track every resulting key until it is ready, and return a per-item table of status, output URLs, and errors. Failed items do not stop the rest of the batch.',
+      inputSchema: SubmitBatchInputSchema,
+      outputSchema: SubmitBatchOutputSchema,
+      annotations: {
+        readOnlyHint: false,
+        openWorldHint: true
+      }
+    },
+    async (args, extra) => {
+      try {
+        const result = await runBatch(await confineLocalPaths(session, args), extra, session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatBatchSummary(result)
+            }
+          ],
+          structuredContent: result,
+          isError: result.ready + result.pending === 0
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to run batch: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'estimate_credits',
+    {
+      title: 'Estimate credits',
+      description:
+        'Estimate the credits one or more calls of a route tool would spend, and compare them with the account balance and the session and daily budgets. Sends only a user/me request.',
+      inputSchema: EstimateCreditsInputSchema,
+      outputSchema: EstimateCreditsOutputSchema,
+      annotations: { readOnlyHint: true, openWorldHint: true }
+    },
+    async ({ tool, input = {}, count = 1, token, profile }) => {
+      const route = API_ROUTES.find((entry) => getRouteToolName(entry) === tool);
+      if (!route) {
+        return server.createToolError(`Unknown route tool "${tool}". Call list_api_routes for tool names.`);
+      }
+      const costPerCall = estimateCreditCost(route, input);
+      const total = costPerCall * count;
+      const balance = total ? await fetchCreditBalance(session, { token, profile }) : null;
+      const budgets = getCreditBudgets(session);
+      const result = {
+        tool,
+        route: `${route.method} ${route.path}`,
+        costPerCall,
+        count,
+        total,
+        balance,
+        ...budgets,
+        allowed: [balance, budgets.session.remaining, budgets.daily.remaining].every(
+          (limit) => limit === null || total <= limit
+        )
+      };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatCreditEstimate(result)
+          }
+        ],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'plan_paint_recipes',
+    {
+      title: 'Plan paint recipes',
+      description:
+        'Build a mixing sheet for a whole PBN palette: runs unmix_color for every color with a concurrency cap and returns pigment proportions per color, the paint volume of each color (scaled by painted area when the backend reports it), pigment totals, and CSV/Markdown exports. Takes exactly one of a PBN item uuid, a palette, or a paletteFile.',
+      inputSchema: PlanPaintRecipesInputSchema,
+      outputSchema: PlanPaintRecipesOutputSchema,
+      annotations: {
+        readOnlyHint: false,
+        openWorldHint: true
+      }
+    },
+    async (args, extra) => {
+      try {
+        const result = await planPaintRecipes(await confineLocalPaths(session, args), extra, session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatRecipeSheet(result)
+            }
+          ],
+          structuredContent: result,
+          isError: result.failed === result.recipes.length
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to plan paint recipes: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'list_jobs',
+    {
+      title: 'List jobs',
+      description:
+        'List items created through this server, including in earlier sessions, from the local job history. Filter by route, status, and creation date to find e.g. "the PBN I made yesterday".',
+      inputSchema: ListJobsInputSchema,
+      outputSchema: ListJobsOutputSchema,
+      annotations: {
+        readOnlyHint: true
+      }
+    },
+    async ({ limit = DEFAULT_JOB_LIST_LIMIT, ...filters }) => {
+      try {
+        const matches = filterJobs(await requireJobStore(session).list(), filters);
+        const result = {
+          now: new Date().toISOString(),
+          total: matches.length,
+          jobs: matches.slice(0, limit)
+        };
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatJobList(result)
+            }
+          ],
+          structuredContent: result
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to list jobs: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'get_job',
+    {
+      title: 'Get job',
+      description: 'Show the locally recorded details of a job: route, parameters, created timestamp, and last known status and title.',
+      inputSchema: JobKeyInputSchema,
+      outputSchema: JobSchema,
+      annotations: {
+        readOnlyHint: true
+      }
+    },
+    async ({ key }) => {
+      try {
+        const job = await requireJobStore(session).get(key);
+        if (!job) {
+          return server.createToolError(`No job with key ${key} in the job history. Use list_jobs to find it.`);
+        }
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatJob(job)
+            }
+          ],
+          structuredContent: job
+        };
+      } catch (error) {
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to read job: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  server.registerTool(
+    'refresh_job',
+    {
+      title: 'Refresh job',
+      description:
+        'Fetch the current state of a recorded job from service/item/{uuid}, update its status and title in the job history, and return the item.',
+      inputSchema: RefreshJobInputSchema,
+      outputSchema: RefreshJobOutputSchema,
+      annotations: {
+        readOnlyHint: false,
+        openWorldHint: true
+      }
+    },
+    async ({ key, token, profile, ...imageOptions }) => {
+      try {
+        const jobs = requireJobStore(session);
+        if (!(await jobs.get(key))) {
+          return server.createToolError(`No job with key ${key} in the job history. Use list_jobs to find it.`);
+        }
+        const result = await callApi(
+          { method: 'GET', path: itemApiPath(key), token, profile },
+          session
+        );
+        const { response } = result;
+        if (!response.ok || !response.body || typeof response.body !== 'object') {
+          return { content: [{ type: 'text', text: formatCallSummary(result) }], isError: true };
+        }
+        // callApi has already written the new status and title to the history.
+        const job = await jobs.get(key);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatJob(job)
+            },
+            ...(ITEM_READY_STATUSES.includes(job.status?.toLowerCase())
+              ? await buildItemImageContent(response.body, imageOptions)
+              : [])
+          ],
+          structuredContent: { job, item: response.body }
+        };
+      } catch (error) {
+        if (error instanceof RequestValidationError) {
+          return createValidationErrorResult(error);
+        }
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to refresh job: ${String(error)}`
+        );
+      }
+    }
+  );
+
+  API_ROUTES.filter((route) => !route.imported).forEach((route) => registerRouteTool(server, session, route));
+  registerColorTools(server, session);
+  registerItemResources(server, session);
+  registerWorkflowPrompts(server);
+  registerImportedRouteTools(server, session);
+  session.confirm = (message) => confirmWithUser(server, message);
+  session.onItemsChanged = () => {
+    if (server.isConnected()) {
+      server.sendResourceListChanged();
+    }
+  };
+
+  return server;
+}
+
+function registerItemResources(server, session) {
+  const completeUuid = (value) =>
+    Array.from(session.items.keys()).filter((key) => key.startsWith(value ?? ''));
+  const completeFrom = (values) => (value) => values.filter((entry) => entry.startsWith(value ?? ''));
+
+  server.registerResource(
+    'item',
+    new ResourceTemplate(`${RESOURCE_URI_SCHEME}://item/{uuid}`, {
+      list: () => ({
+        resources: Array.from(session.items.values()).map((item) => ({
+          uri: buildItemResourceUri(item.key),
+          name: item.key,
+          title: item.title ?? `${item.toolName} ${item.key}`,
+          description: `Created with ${item.toolName} at ${item.created}; last known status: ${item.status ?? 'unknown'}.`,
+          mimeType: 'application/json'
+        }))
+      }),
+      complete: { uuid: completeUuid }
+    }),
+    {
+      title: 'Generated item',
+      description: 'JSON for a generated item (status, images, palette) from service/item/{uuid}.',
+      mimeType: 'application/json'
+    },
+    async (uri, { uuid }) => {
+      const response = await readItemResource(session, itemApiPath(uuid), uri);
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(response.body ?? tryParseJson(response.rawText) ?? response.rawText, null, 2)
+          }
+        ]
+      };
+    }
+  );
+
+  server.registerResource(
+    'item-pbn',
+    new ResourceTemplate(`${RESOURCE_URI_SCHEME}://item/{uuid}/pbn/{type}`, {
+      list: undefined,
+      complete: { uuid: completeUuid, type: completeFrom(PBN_IMAGE_DOWNLOAD_TYPES) }
+    }),
+    {
+      title: 'PBN download',
+      description: `Paint-by-numbers file of a ready PBN item. Types: ${PBN_IMAGE_DOWNLOAD_TYPES.filter((type) => type !== 'custom').join(', ')}.`
+    },
+    async (uri, { uuid, type }) =>
+      readDownloadResource(session, itemApiPath(uuid, 'pbn', 'download', type), uri)
+  );
+
+  server.registerResource(
+    'item-colors',
+    new ResourceTemplate(`${RESOURCE_URI_SCHEME}://item/{uuid}/colors/{type}`, {
+      list: undefined,
+      complete: { uuid: completeUuid, type: completeFrom(PBN_COLOR_DOWNLOAD_TYPES) }
+    }),
+    {
+      title: 'PBN palette download',
+      description: `Color palette file of a ready PBN item. Types: ${PBN_COLOR_DOWNLOAD_TYPES.join(', ')}.`
+    },
+    async (uri, { uuid, type }) =>
+      readDownloadResource(session, itemApiPath(uuid, 'pbn', 'colors', type), uri)
+  );
+}
+
+function registerColorTools(server, session) {
+  const toolError = (error, action) =>
+    server.createToolError(error instanceof Error ? error.message : `Failed to ${action}: ${String(error)}`);
+  const localAnnotations = { readOnlyHint: true, openWorldHint: false };
+
+  server.registerTool(
+    'parse_palette',
+    {
+      title: 'Parse palette',
+      description:
+        'Parse a csv, gpl (GIMP), kpl (Krita), Procreate swatches, ASE, or JSON design-token palette into structured colors with code, name, hex, rgb and hsl. Reads a local file, raw text, or downloads the palette of a ready PBN item (uuid). The colors can be passed to unmix_color, mix_colors, and the local color tools.',
+      inputSchema: ParsePaletteInputSchema,
+      outputSchema: PaletteSchema,
+      annotations: { readOnlyHint: true, openWorldHint: true }
+    },
+    async (args) => {
+      try {
+        const palette = await loadPaletteSource(await confineLocalPaths(session, args, { sourcePath: true }), session);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatPalette(palette)
+            }
+          ],
+          structuredContent: palette
+        };
+      } catch (error) {
+        return toolError(error, 'parse palette');
+      }
+    }
+  );
+
+  server.registerTool(
+    'convert_palette',
+    {
+      title: 'Convert palette',
+      description:
+        'Convert a palette between csv, GIMP (gpl), Krita (kpl), Procreate (swatches), Adobe ASE, CSS custom properties, a Tailwind config, and JSON design tokens. Takes the same sources as parse_palette (local file, text, or a PBN item download, including Procreate .swatches and .zip bundles). Color names and codes are kept in every format.',
+      inputSchema: ConvertPaletteInputSchema,
+      outputSchema: ConvertPaletteOutputSchema,
+      annotations: { readOnlyHint: false, destructiveHint: false, openWorldHint: true }
+    },
+    async (args) => {
+      try {
+        const { to, outputDir, filename, name, prefix, ...source } = await confineLocalPaths(session, args, { sourcePath: true });
+        const palette = await loadPaletteSource(source, session);
+        if (!palette.colors.length) {
+          throw new Error('The palette has no colors to convert.');
+        }
+        const result = await convertPalette({ ...palette, name: name ?? palette.name }, to, {
+          outputDir: outputDir ?? CONFIG.downloadDir,
+          filename,
+          prefix
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: result.file
+                ? `Converted ${result.colorCount} colors from ${palette.format} to ${to}: ${result.file.path} (${formatBytes(result.file.size)})`
+                : result.text
+            }
+          ],
+          structuredContent: result
+        };
+      } catch (error) {
+        return toolError(error, 'convert palette');
+      }
+    }
+  );
+
+  server.registerTool(
+    'color_delta_e',
+    {
+      title: 'Color delta E',
+      description:
+        'Compute the CIEDE2000 color difference between every pair of the given colors, locally (no API call or credits). Below about 2.3 most people cannot tell two colors apart.',
+      inputSchema: ColorDeltaEInputSchema,
+      outputSchema: ColorDeltaEOutputSchema,
+      annotations: localAnnotations
+    },
+    async ({ colors }) => {
+      const infos = colors.map((hex) => describeColor(hex));
+      const pairs = [];
+      for (let i = 0; i < infos.length; i += 1) {
+        for (let j = i + 1; j < infos.length; j += 1) {
+          const deltaE = roundTo(ciede2000(infos[i].lab, infos[j].lab), 2);
+          pairs.push({ a: infos[i].hex, b: infos[j].hex, deltaE, perception: describeDeltaE(deltaE) });
+        }
+      }
+      const result = { colors: infos, pairs };
+      return {
+        content: [
+          {
+            type: 'text',
+            text: pairs.map((pair) => `#${pair.a} vs #${pair.b}: ΔE00 ${pair.deltaE} (${pair.perception})`).join('\n')
+          }
+        ],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'find_nearest_color',
+    {
+      title: 'Find nearest color',
+      description:
+        'Find the closest colors (CIEDE2000) in a palette, for example "which paint in my set matches this color?". Takes the palette inline or from a downloaded palette CSV. Runs locally.',
+      inputSchema: FindNearestColorInputSchema,
+      outputSchema: FindNearestColorOutputSchema,
+      annotations: localAnnotations
+    },
+    async ({ colors, palette, paletteFile, limit = 1 }) => {
+      try {
+        const entries = await resolvePalette(await confineLocalPaths(session, { palette, paletteFile }));
+        const results = colors.map((hex) => {
+          const target = describeColor(hex);
+          return { target, matches: findNearestColors(target, entries, limit) };
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: results
+                .map(({ target, matches }) =>
+                  [`#${target.hex}:`, ...matches.map((match) => `  ${formatColorLabel(match.color)} ΔE00 ${match.deltaE}`)].join('\n')
+                )
+                .join('\n')
+            }
+          ],
+          structuredContent: { results }
+        };
+      } catch (error) {
+        return toolError(error, 'find nearest color');
+      }
+    }
+  );
+
+  server.registerTool(
+    'find_near_duplicates',
+    {
+      title: 'Find near-duplicate colors',
+      description:
+        'Flag pairs of palette colors that are nearly identical (CIEDE2000 at or below a threshold), for example to spot PBN palette colors that could be merged. Runs locally.',
+      inputSchema: FindNearDuplicatesInputSchema,
+      outputSchema: FindNearDuplicatesOutputSchema,
+      annotations: localAnnotations
+    },
+    async ({ palette, paletteFile, threshold = DEFAULT_DUPLICATE_THRESHOLD }) => {
+      try {
+        const entries = await resolvePalette(await confineLocalPaths(session, { palette, paletteFile }));
+        const pairs = [];
+        for (let i = 0; i < entries.length; i += 1) {
+          for (let j = i + 1; j < entries.length; j += 1) {
+            const deltaE = roundTo(ciede2000(entries[i].lab, entries[j].lab), 2);
+            if (deltaE <= threshold) {
+              pairs.push({ a: entries[i], b: entries[j], deltaE });
+            }
+          }
+        }
+        pairs.sort((left, right) => left.deltaE - right.deltaE);
+        const result = { threshold, paletteSize: entries.length, pairs };
+        return {
+          content: [
+            {
+              type: 'text',
+              text: pairs.length
+                ? [
+                    `${pairs.length} near-duplicate pair(s) in ${entries.length} colors (ΔE00 ≤ ${threshold}):`,
+                    ...pairs.map((pair) => `- ${formatColorLabel(pair.a)} ~ ${formatColorLabel(pair.b)}: ΔE00 ${pair.deltaE}`)
+                  ].join('\n')
+                : `No near-duplicates in ${entries.length} colors (ΔE00 ≤ ${threshold}).`
+            }
+          ],
+          structuredContent: result
+        };
+      } catch (error) {
+        return toolError(error, 'find near-duplicates');
+      }
+    }
+  );
+
+  server.registerTool(
+    'color_harmonies',
+    {
+      title: 'Color harmonies',
+      description:
+        'Generate complementary, triadic, and analogous harmonies for a color by rotating its hue. When a palette is given, each harmony color is paired with its nearest palette color. Runs locally.',
+      inputSchema: ColorHarmoniesInputSchema,
+      outputSchema: ColorHarmoniesOutputSchema,
+      annotations: localAnnotations
+    },
+    async ({ hex, types = HARMONY_TYPES, analogousAngle = DEFAULT_ANALOGOUS_ANGLE, palette, paletteFile }) => {
+      try {
+        const entries = palette || paletteFile ? await resolvePalette(await confineLocalPaths(session, { palette, paletteFile })) : null;
+        const base = describeColor(hex);
+        const offsets = {
+          complementary: [180],
+          triadic: [120, 240],
+          analogous: [-analogousAngle, analogousAngle]
+        };
+        const harmonies = [...new Set(types)].map((type) => ({
+          type,
+          colors: offsets[type].map((offset) => {
+            const color = describeColor(rgbToHex(hslToRgb([(base.hsl[0] + offset + 360) % 360, base.hsl[1], base.hsl[2]])));
+            return { color, nearest: entries ? findNearestColors(color, entries, 1)[0] : null };
+          })
+        }));
+        return {
+          content: [
+            {
+              type: 'text',
+              text: [
+                `Base #${base.hex}`,
+                ...harmonies.map(
+                  (harmony) =>
+                    `${harmony.type}: ${harmony.colors
+                      .map(({ color, nearest }) => `#${color.hex}${nearest ? ` (nearest ${formatColorLabel(nearest.color)}, ΔE00 ${nearest.deltaE})` : ''}`)
+                      .join(', ')}`
+                )
+              ].join('\n')
+            }
+          ],
+          structuredContent: { base, harmonies }
+        };
+      } catch (error) {
+        return toolError(error, 'generate harmonies');
+      }
+    }
+  );
+}
+
+async function resolvePalette({ palette, paletteFile }) {
+  if (palette) {
+    return palette.map((entry) =>
+      typeof entry === 'string' ? describeColor(entry) : describeColor(entry.hex, entry)
+    );
+  }
+  if (!paletteFile) {
+    throw new Error('Provide palette or paletteFile.');
+  }
+  const { colors } = await readPaletteFile(paletteFile);
+  if (!colors.length) {
+    throw new Error(`No colors found in ${paletteFile}.`);
+  }
+  return colors.slice(0, MAX_PALETTE_COLORS);
+}
+
+async function loadPaletteSource({ path, text, format, uuid, type = 'csv', token, profile }, session) {
+  const sources = [path, text, uuid].filter((value) => value !== undefined);
+  if (sources.length !== 1) {
+    throw new Error('Provide exactly one of path, text, or uuid.');
+  }
+  if (sources[0] === '') {
+    throw new Error('The palette path, text, or uuid is empty.');
+  }
+  if (path !== undefined) {
+    return readPaletteFile(path, format);
+  }
+  if (text !== undefined) {
+    return parsePalette(Buffer.from(text, 'utf8'), { format });
+  }
+
+  const result = await callApi(
+    {
+      method: 'GET',
+      path: itemApiPath(uuid, 'pbn', 'colors', type),
+      token,
+      profile,
+      saveToDisk: false,
+      inlineLimit: MAX_RESOURCE_BYTES
+    },
+    session
+  );
+  if (!result.response.ok || result.response.bodyOmitted) {
+    throw new Error(formatCallSummary(result));
+  }
+  return parsePalette(decodeResponseBody(result.response), { format: type });
+}
+
+async function readPaletteFile(path, format) {
+  let buffer;
+  try {
+    buffer = await readFile(path);
+  } catch (error) {
+    throw new Error(`Could not read palette file ${path}: ${error.message}`);
+  }
+  return parsePalette(buffer, { format, filename: path });
+}
+
+function parsePalette(buffer, { format, filename } = {}) {
+  const detected = format ?? detectPaletteFormat(buffer, filename);
+  switch (detected) {
+    case 'csv':
+      return { format: 'csv', name: null, ...parsePaletteCsv(buffer.toString('utf8')) };
+    case 'gpl':
+      return { format: 'gpl', ...parseGimpPalette(buffer.toString('utf8')) };
+    case 'kpl':
+      return { format: 'kpl', ...parseKritaPalette(buffer) };
+    case 'swatches':
+      return { format: 'swatches', ...parseProcreateSwatches(buffer) };
+    case 'ase':
+      return { format: 'ase', ...parseAdobeSwatchExchange(buffer) };
+    case 'json':
+      return { format: 'json', ...parseDesignTokens(buffer.toString('utf8')) };
+    default:
+      throw new Error(
+        `Could not detect the palette format${filename ? ` of ${filename}` : ''}. Pass format (${PALETTE_FORMATS.join(', ')}).`
+      );
+  }
+}
+
+function detectPaletteFormat(buffer, filename) {
+  const extension = filename ? extname(filename).slice(1).toLowerCase() : '';
+  if (PALETTE_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (isZipArchive(buffer)) {
+    return readZipEntries(buffer).has('colorset.xml') ? 'kpl' : 'swatches';
+  }
+  if (buffer.subarray(0, 4).toString('latin1') === 'ASEF') {
+    return 'ase';
+  }
+  const head = buffer.subarray(0, 256).toString('utf8').trimStart();
+  if (head.startsWith('GIMP Palette')) {
+    return 'gpl';
+  }
+  if (head.startsWith('{')) {
+    return 'json';
+  }
+  if (head.startsWith('<') && /<ColorSet\b/i.test(buffer.toString('utf8'))) {
+    return 'kpl';
+  }
+  return /hex/i.test(head.split(/\r?\n/)[0]) ? 'csv' : null;
+}
+
+async function parseDownloadedPalette(response) {
+  const filename = response.savedFile?.path ?? parseContentDispositionFilename(response.headers['content-disposition']);
+  const extension = filename ? extname(filename).slice(1).toLowerCase() : '';
+  // Palettes over 30 colors arrive as a .zip of Procreate .swatches files.
+  const format = extension === 'zip' ? 'swatches' : extension;
+  if (!PALETTE_DOWNLOAD_FORMATS.includes(format) || (!response.savedFile && response.bodyOmitted)) {
+    return null;
+  }
+  try {
+    const buffer = response.savedFile ? await readFile(response.savedFile.path) : decodeResponseBody(response);
+    return parsePalette(buffer, { format });
+  } catch (error) {
+    // The download itself succeeded; an unreadable palette just leaves the field out.
+    return null;
+  }
+}
+
+function decodeResponseBody(response) {
+  return Buffer.from(response.rawText, response.isBinary ? 'base64' : 'utf8');
+}
+
+function parseGimpPalette(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0]?.trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette: the first line must be "GIMP Palette".');
+  }
+  let name = null;
+  let skipped = 0;
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+    const header = trimmed.match(/^(Name|Columns):\s*(.*)$/i);
+    if (header) {
+      if (header[1].toLowerCase() === 'name') {
+        name = header[2].trim() || null;
+      }
+      continue;
+    }
+    const match = trimmed.match(/^(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s+(.*))?$/);
+    if (!match || match.slice(1, 4).some((channel) => Number(channel) > 255)) {
+      skipped += 1;
+      continue;
+    }
+    colors.push(describeColor(rgbToHex(match.slice(1, 4).map(Number)), splitCodedName(match[4])));
+  }
+  return { name, colors, skipped };
+}
+
+function parseKritaPalette(buffer) {
+  let xml = buffer.toString('utf8');
+  if (isZipArchive(buffer)) {
+    const colorset = readZipEntries(buffer).get('colorset.xml');
+    if (!colorset) {
+      throw new Error('Not a Krita palette: colorset.xml is missing from the archive.');
+    }
+    xml = colorset.toString('utf8');
+  }
+  const header = xml.match(/<ColorSet\b([^>]*)>/i);
+  if (!header) {
+    throw new Error('Not a Krita palette: no <ColorSet> element found.');
+  }
+
+  let skipped = 0;
+  const colors = [];
+  for (const [, attributes, body] of xml.matchAll(/<ColorSetEntry\b([^>]*?)(?:\/>|>([\s\S]*?)<\/ColorSetEntry>)/gi)) {
+    const entry = parseXmlAttributes(attributes);
+    const rgbMatch = body?.match(/<(?:s?RGB)\b([^>]*)\/?>/i);
+    const rgb = rgbMatch ? parseXmlAttributes(rgbMatch[1]) : null;
+    const channels = rgb ? [rgb.r, rgb.g, rgb.b].map(Number) : [];
+    if (channels.length !== 3 || channels.some((channel) => !Number.isFinite(channel))) {
+      skipped += 1;
+      continue;
+    }
+    // Krita stores channels as floats in 0–1.
+    const coded = splitCodedName(entry.name);
+    colors.push(
+      describeColor(
+        rgbToHex(channels.map((channel) => channel * 255)),
+        { name: coded.name, code: entry.id || coded.code }
+      )
+    );
+  }
+  return { name: parseXmlAttributes(header[1]).name || null, colors, skipped };
+}
+
+function parseXmlAttributes(source = '') {
+  const attributes = {};
+  for (const [, key, , value] of source.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+    attributes[key] = value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+  return attributes;
+}
+
+function parseProcreateSwatches(buffer) {
+  const budget = { bytes: MAX_RESOURCE_BYTES };
+  const entries = readZipEntries(buffer, budget);
+  // A .zip bundle holds one .swatches archive per 30 colors; a .swatches archive holds Swatches.json.
+  const files = entries.has('Swatches.json')
+    ? [entries.get('Swatches.json')]
+    : [...entries.entries()]
+        .filter(([entryName]) => entryName.toLowerCase().endsWith('.swatches'))
+        .sort(([left], [right]) => left.localeCompare(right, undefined, { numeric: true }))
+        .map(([entryName, data]) => {
+          const json = readZipEntries(data, budget).get('Swatches.json');
+          if (!json) {
+            throw new Error(`Not a Procreate palette: Swatches.json is missing from ${entryName}.`);
+          }
+          return json;
+        });
+  if (!files.length) {
+    throw new Error('Not a Procreate palette: no Swatches.json or .swatches files in the archive.');
+  }
+
+  let name = null;
+  let skipped = 0;
+  const colors = [];
+  for (const file of files) {
+    const parsed = JSON.parse(file.toString('utf8'));
+    // Procreate writes a one-element array; older exports use a bare object.
+    for (const swatchSet of Array.isArray(parsed) ? parsed : [parsed]) {
+      name ??= swatchSet.name?.replace(/\s+\d+\/\d+$/, '') || null;
+      for (const swatch of swatchSet.swatches ?? []) {
+        const channels = [swatch?.hue, swatch?.saturation, swatch?.brightness].map(Number);
+        if (!swatch || channels.some((channel) => !Number.isFinite(channel))) {
+          // Empty slots are stored as null and are not colors.
+          if (swatch) {
+            skipped += 1;
+          }
+          continue;
+        }
+        colors.push(describeColor(rgbToHex(hsvToRgb(channels)), splitCodedName(swatch.name)));
+      }
+    }
+  }
+  return { name, colors, skipped };
+}
+
+function parseAdobeSwatchExchange(buffer) {
+  if (buffer.subarray(0, 4).toString('latin1') !== 'ASEF') {
+    throw new Error('Not an ASE palette: missing ASEF signature.');
+  }
+  // Lengths come from the file, so each one is checked before it is read from.
+  const malformed = (reason) => new Error(`Malformed ASE palette: ${reason}.`);
+  if (buffer.length < 12) {
+    throw malformed('the header is truncated');
+  }
+  let name = null;
+  let skipped = 0;
+  const colors = [];
+  let offset = 12;
+  const blockCount = buffer.readUInt32BE(8);
+  for (let index = 0; index < blockCount; index += 1) {
+    if (offset + 6 > buffer.length) {
+      throw malformed(`the file ends after ${index} of ${blockCount} blocks`);
+    }
+    const blockType = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt32BE(offset + 2);
+    if (offset + 6 + length > buffer.length) {
+      throw malformed(`block ${index + 1} is ${length} bytes long but the file ends after ${buffer.length - offset - 6}`);
+    }
+    const block = buffer.subarray(offset + 6, offset + 6 + length);
+    offset += 6 + length;
+    if (blockType !== 0x0001 && blockType !== 0xc001) {
+      continue;
+    }
+    if (block.length < 2) {
+      throw malformed(`block ${index + 1} has no name length`);
+    }
+    const nameLength = block.readUInt16BE(0);
+    if (2 + nameLength * 2 > block.length) {
+      throw malformed(`the name of block ${index + 1} runs past the end of the block`);
+    }
+    const label = decodeUtf16Be(block.subarray(2, 2 + nameLength * 2));
+    if (blockType === 0xc001) {
+      name ??= label || null;
+      continue;
+    }
+    const valuesStart = 2 + nameLength * 2;
+    if (valuesStart + 4 > block.length) {
+      throw malformed(`color block ${index + 1} has no color model`);
+    }
+    const model = block.subarray(valuesStart, valuesStart + 4).toString('latin1').trim();
+    const values = [];
+    for (let cursor = valuesStart + 4; cursor + 4 <= block.length - 2; cursor += 4) {
+      values.push(block.readFloatBE(cursor));
+    }
+    const rgb = aseValuesToRgb(model, values);
+    if (!rgb) {
+      skipped += 1;
+      continue;
+    }
+    colors.push(describeColor(rgbToHex(rgb), splitCodedName(label)));
+  }
+  return { name, colors, skipped };
+}
+
+function aseValuesToRgb(model, values) {
+  switch (model) {
+    case 'RGB':
+      return values.length >= 3 ? values.slice(0, 3).map((value) => value * 255) : null;
+    case 'Gray':
+      return values.length >= 1 ? [values[0] * 255, values[0] * 255, values[0] * 255] : null;
+    case 'CMYK': {
+      if (values.length < 4) {
+        return null;
+      }
+      // Naive conversion without an ICC profile; close enough to pick or match paints.
+      const [c, m, y, k] = values;
+      return [c, m, y].map((value) => 255 * (1 - value) * (1 - k));
+    }
+    default:
+      return null;
+  }
+}
+
+function parseDesignTokens(text) {
+  let tokens;
+  try {
+    tokens = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON palette: ${error.message}`);
+  }
+  let name = typeof tokens.$description === 'string' ? tokens.$description : null;
+  let skipped = 0;
+  const colors = [];
+  const visit = (node, key) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if ('$value' in node) {
+      const value = typeof node.$value === 'string' ? node.$value.trim() : '';
+      if (!HEX_COLOR_PATTERN.test(value)) {
+        skipped += 1;
+        return;
+      }
+      const extension = node.$extensions?.[DESIGN_TOKEN_EXTENSION] ?? {};
+      const label = extension.name !== undefined || extension.code !== undefined ? extension : splitCodedName(key);
+      colors.push(describeColor(value, { name: label.name ?? undefined, code: label.code ?? undefined }));
+      return;
+    }
+    for (const [childKey, child] of Object.entries(node)) {
+      if (!childKey.startsWith('$')) {
+        if (!name && child?.$type === 'color' && child.$description) {
+          name = child.$description;
+        }
+        visit(child, childKey.replace(/[-_]+/g, ' '));
+      }
+    }
+  };
+  visit(tokens);
+  return { name, colors, skipped };
+}
+
+async function convertPalette(palette, format, { outputDir, filename, prefix }) {
+  const { extension, mimeType } = PALETTE_EXPORTS[format];
+  const content = serializePalette(palette, format, { prefix });
+  const bundled = format === 'swatches' && palette.colors.length > MAX_PROCREATE_SWATCHES;
+  const result = {
+    format,
+    sourceFormat: palette.format,
+    name: palette.name,
+    colorCount: palette.colors.length,
+    file: null,
+    text: null
+  };
+
+  if (!outputDir) {
+    if (Buffer.isBuffer(content)) {
+      throw new Error(`${format} is a binary format. Pass outputDir or set MCP_DOWNLOAD_DIR to write it to disk.`);
+    }
+    return { ...result, text: content };
+  }
+
+  const targetDir = resolve(outputDir);
+  await mkdir(targetDir, { recursive: true });
+  const stem = sanitizeFileStem(filename ?? palette.name ?? 'palette', 'palette');
+  const { path: filePath, handle } = await reserveFilePath(targetDir, `${stem}.${bundled ? 'zip' : extension}`);
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  try {
+    await handle.writeFile(buffer);
+  } finally {
+    await handle.close();
+  }
+  return {
+    ...result,
+    file: {
+      path: filePath,
+      filename: basename(filePath),
+      size: buffer.length,
+      mimeType: bundled ? 'application/zip' : mimeType,
+      sha256: createHash('sha256').update(buffer).digest('hex')
+    }
+  };
+}
+
+function serializePalette(palette, format, { prefix } = {}) {
+  const title = palette.name ?? 'Palette';
+  switch (format) {
+    case 'csv':
+      return [
+        'Code,Name,Hex,RGB,HSL',
+        ...palette.colors.map((color) =>
+          [
+            color.code ?? '',
+            color.name ?? '',
+            `#${color.hex.toUpperCase()}`,
+            color.rgb.join(','),
+            [Math.round(color.hsl[0]), Math.round(color.hsl[1] * 100), Math.round(color.hsl[2] * 100)].join(',')
+          ]
+            .map(formatCsvCell)
+            .join(',')
+        ),
+        ''
+      ].join('\n');
+    case 'gpl':
+      return [
+        'GIMP Palette',
+        `Name: ${title}`,
+        'Columns: 0',
+        '#',
+        ...palette.colors.map(
+          (color) => `${color.rgb.map((channel) => String(channel).padStart(3)).join(' ')}\t${formatColorName(color)}`
+        ),
+        ''
+      ].join('\n');
+    case 'kpl':
+      return buildKritaPalette(palette, title);
+    case 'swatches':
+      return buildProcreateSwatches(palette, title);
+    case 'ase':
+      return buildAdobeSwatchExchange(palette, title);
+    case 'css': {
+      const variablePrefix = prefix ?? slugify(palette.name) ?? 'palette';
+      return [
+        `/* ${escapeCssComment(title)} */`,
+        ':root {',
+        ...palette.colors.map(
+          (color, index) =>
+            `  --${variablePrefix}-${colorTokenKey(color, index)}: #${color.hex};${formatColorName(color) ? ` /* ${escapeCssComment(formatColorName(color))} */` : ''}`
+        ),
+        '}',
+        ''
+      ].join('\n');
+    }
+    case 'tailwind': {
+      const colors = Object.fromEntries(palette.colors.map((color, index) => [colorTokenKey(color, index), `#${color.hex}`]));
+      return [
+        `// ${title}`,
+        '/** @type {import(\'tailwindcss\').Config} */',
+        `module.exports = ${JSON.stringify(
+          { theme: { extend: { colors: { [prefix ?? slugify(palette.name) ?? 'palette']: colors } } } },
+          null,
+          2
+        )};`,
+        ''
+      ].join('\n');
+    }
+    case 'json':
+      return `${JSON.stringify(buildDesignTokens(palette, prefix), null, 2)}\n`;
+    default:
+      throw new Error(`Unsupported palette format: ${format}`);
+  }
+}
+
+function buildDesignTokens(palette, prefix) {
+  const group = { $type: 'color', ...(palette.name ? { $description: palette.name } : {}) };
+  palette.colors.forEach((color, index) => {
+    let key = colorTokenKey(color, index);
+    for (let suffix = 2; key in group; suffix += 1) {
+      key = `${colorTokenKey(color, index)}-${suffix}`;
+    }
+    group[key] = {
+      $value: `#${color.hex}`,
+      $extensions: { [DESIGN_TOKEN_EXTENSION]: { code: color.code, name: color.name } }
+    };
+  });
+  return { [prefix ?? slugify(palette.name) ?? 'palette']: group };
+}
+
+function buildKritaPalette(palette, title) {
+  const columns = 8;
+  const entries = palette.colors.map((color, index) => {
+    const channels = color.rgb.map((channel) => roundTo(channel / 255, 6));
+    const attributes = [
+      color.code ? ` id="${escapeXml(color.code)}"` : '',
+      ` name="${escapeXml(color.name ?? '')}"`
+    ].join('');
+    return [
+      `  <ColorSetEntry spot="false" bitdepth="U8"${attributes}>`,
+      `    <RGB space="sRGB-elle-V2-srgbtrc.icc" r="${channels[0]}" g="${channels[1]}" b="${channels[2]}"/>`,
+      `    <Position row="${Math.floor(index / columns)}" column="${index % columns}"/>`,
+      '  </ColorSetEntry>'
+    ].join('\n');
+  });
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<ColorSet version="2.0" name="${escapeXml(title)}" columns="${columns}" rows="${Math.ceil(palette.colors.length / columns)}" readonly="false" comment="">`,
+    ...entries,
+    '</ColorSet>',
+    ''
+  ].join('\n');
+  return writeZip([
+    // Krita checks the mimetype entry first, so it goes first and uncompressed.
+    { name: 'mimetype', data: Buffer.from('krita/x-colorset'), store: true },
+    { name: 'colorset.xml', data: Buffer.from(xml, 'utf8') },
+    { name: 'profiles.xml', data: Buffer.from('<Profiles/>\n') }
+  ]);
+}
+
+function buildProcreateSwatches(palette, title) {
+  const chunks = [];
+  for (let start = 0; start < palette.colors.length; start += MAX_PROCREATE_SWATCHES) {
+    chunks.push(palette.colors.slice(start, start + MAX_PROCREATE_SWATCHES));
+  }
+  const files = chunks.map((colors, index) => {
+    const name = chunks.length > 1 ? `${title} ${index + 1}/${chunks.length}` : title;
+    const swatches = colors.map((color) => {
+      const [hue, saturation, brightness] = rgbToHsv(color.rgb);
+      // Procreate ignores the name key; it is kept so names and codes survive a round trip.
+      return { hue, saturation, brightness, alpha: 1, colorSpace: 0, name: formatColorName(color) || undefined };
+    });
+    return writeZip([{ name: 'Swatches.json', data: Buffer.from(JSON.stringify([{ name, swatches }]), 'utf8') }]);
+  });
+  if (files.length === 1) {
+    return files[0];
+  }
+  const stem = sanitizeFileStem(title, 'palette');
+  return writeZip(files.map((data, index) => ({ name: `${stem} ${index + 1}.swatches`, data, store: true })));
+}
+
+function buildAdobeSwatchExchange(palette, title) {
+  const block = (type, body) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(body.length, 2);
+    return Buffer.concat([header, body]);
+  };
+  const encodeName = (label) => {
+    const text = encodeUtf16Be(`${label}\u0000`);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(text.length / 2, 0);
+    return Buffer.concat([length, text]);
+  };
+  const blocks = [
+    block(0xc001, encodeName(title)),
+    ...palette.colors.map((color) => {
+      const values = Buffer.alloc(4 + 12 + 2);
+      values.write('RGB ', 0, 'latin1');
+      color.rgb.forEach((channel, index) => values.writeFloatBE(channel / 255, 4 + index * 4));
+      // Color type 2 is a normal (process) color.
+      values.writeUInt16BE(2, 16);
+      return block(0x0001, Buffer.concat([encodeName(formatColorName(color)), values]));
+    }),
+    block(0xc002, Buffer.alloc(0))
+  ];
+  const header = Buffer.alloc(12);
+  header.write('ASEF', 0, 'latin1');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
+
+function colorTokenKey(color, index) {
+  const slug = slugify(formatColorName(color));
+  // Integer-like keys would be reordered by JSON consumers, so bare codes get a prefix.
+  return !slug ? `color-${index + 1}` : /^\d+$/.test(slug) ? `color-${slug}` : slug;
+}
+
+function formatColorName(color) {
+  return [color.code, color.name].filter(Boolean).join(' ');
+}
+
+function formatCsvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function slugify(value) {
+  const slug = value
+    ?.normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCssComment(value) {
+  return value.replace(/\*\//g, '* /');
+}
+
+function encodeUtf16Be(text) {
+  const buffer = Buffer.from(text, 'utf16le');
+  for (let index = 0; index < buffer.length; index += 2) {
+    [buffer[index], buffer[index + 1]] = [buffer[index + 1], buffer[index]];
+  }
+  return buffer;
+}
+
+function decodeUtf16Be(buffer) {
+  const swapped = Buffer.from(buffer);
+  for (let index = 0; index + 1 < swapped.length; index += 2) {
+    [swapped[index], swapped[index + 1]] = [swapped[index + 1], swapped[index]];
+  }
+  return swapped.toString('utf16le').replace(/\u0000+$/, '');
+}
+
+function splitCodedName(label) {
+  const trimmed = label?.trim();
+  if (!trimmed) {
+    return { name: undefined, code: undefined };
+  }
+  // PBN palettes label colors like "12 Cadmium Red" or "12 - Cadmium Red".
+  if (/^\d+$/.test(trimmed)) {
+    return { name: undefined, code: trimmed };
+  }
+  const match = trimmed.match(/^(\d+)\s*(?:[-–:.)]\s*|\s)(.+)$/);
+  return match ? { code: match[1], name: match[2].trim() } : { name: trimmed, code: undefined };
+}
+
+function isZipArchive(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// budget is shared with nested archives, so a .zip of .swatches cannot expand past MAX_RESOURCE_BYTES in total.
+function readZipEntries(buffer, budget = { bytes: MAX_RESOURCE_BYTES }) {
+  const endOfDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOfDirectory < 0) {
+    throw new Error('Not a zip archive.');
+  }
+  const entries = new Map();
+  const count = buffer.readUInt16LE(endOfDirectory + 10);
+  if (count > MAX_ZIP_ENTRIES) {
+    throw new Error(`Zip archive has ${count} entries; at most ${MAX_ZIP_ENTRIES} are read.`);
+  }
+  let offset = buffer.readUInt32LE(endOfDirectory + 16);
+  for (let index = 0; index < count; index += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip archive.');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      entries.set(name, data);
+    } else if (method === 8) {
+      let inflated;
+      try {
+        inflated = inflateRawSync(data, { maxOutputLength: Math.max(1, budget.bytes) });
+      } catch (error) {
+        if (error?.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`Zip archive expands to more than ${formatBytes(MAX_RESOURCE_BYTES)}.`);
+        }
+        throw error;
+      }
+      budget.bytes -= inflated.length;
+      entries.set(name, inflated);
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function writeZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const { name, data, store = false } of files) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = store ? data : deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    // Bit 11 marks UTF-8 file names.
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    local.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+let crcTable;
+
+function crc32(buffer) {
+  crcTable ??= Array.from({ length: 256 }, (_, index) => {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    return value >>> 0;
+  });
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function formatPalette(palette) {
+  return [
+    `${palette.format.toUpperCase()} palette${palette.name ? ` "${palette.name}"` : ''}: ${palette.colors.length} colors${palette.skipped ? ` (${palette.skipped} entries skipped)` : ''}`,
+    ...palette.colors.map(
+      (color) => `- ${formatColorLabel(color)} rgb(${color.rgb.join(', ')}) hsl(${color.hsl[0]}, ${color.hsl[1]}, ${color.hsl[2]})`
+    )
+  ].join('\n');
+}
+
+function parsePaletteCsv(text) {
+  const rows = parseCsvRows(text).filter((row) => row.some((cell) => cell.trim()));
+  if (!rows.length) {
+    return { colors: [], skipped: 0 };
+  }
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const hasHeader = header.includes('hex');
+  const columns = {
+    code: hasHeader ? header.indexOf('code') : -1,
+    name: hasHeader ? header.indexOf('name') : -1,
+    hex: hasHeader ? header.indexOf('hex') : -1
+  };
+
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const colors = dataRows.flatMap((row) => {
+    const hex = columns.hex >= 0 ? row[columns.hex]?.trim() : row.find((cell) => HEX_COLOR_PATTERN.test(cell.trim()))?.trim();
+    if (!hex || !HEX_COLOR_PATTERN.test(hex)) {
+      return [];
+    }
+    return [
+      describeColor(hex, {
+        code: columns.code >= 0 ? row[columns.code]?.trim() || undefined : undefined,
+        name: columns.name >= 0 ? row[columns.name]?.trim() || undefined : undefined
+      })
+    ];
+  });
+  return { colors, skipped: dataRows.length - colors.length };
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function findNearestColors(target, entries, limit) {
+  return entries
+    .map((color) => ({ color, deltaE: roundTo(ciede2000(target.lab, color.lab), 2) }))
+    .sort((left, right) => left.deltaE - right.deltaE)
+    .slice(0, limit);
+}
+
+function describeColor(hex, { name, code } = {}) {
+  const normalized = hex.replace(/^#/, '').toLowerCase();
+  const rgb = hexToRgb(normalized);
+  return {
+    hex: normalized,
+    rgb,
+    hsl: rgbToHsl(rgb).map((value, index) => roundTo(value, index === 0 ? 1 : 3)),
+    lab: rgbToLab(rgb).map((value) => roundTo(value, 2)),
+    name: name ?? null,
+    code: code === undefined || code === null ? null : String(code)
+  };
+}
+
+function formatColorLabel(color) {
+  const label = formatColorName(color);
+  return label ? `${label} (#${color.hex})` : `#${color.hex}`;
+}
+
+function describeDeltaE(deltaE) {
+  return DELTA_E_BANDS.find(([limit]) => deltaE <= limit)[1];
+}
+
+function hexToRgb(hex) {
+  const value = Number.parseInt(hex.replace(/^#/, ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+function rgbToHex(rgb) {
+  return rgb.map((channel) => Math.round(clampNumber(channel, 0, 255)).toString(16).padStart(2, '0')).join('');
+}
+
+function rgbToHsl([red, green, blue]) {
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, lightness];
+  }
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === r) {
+    hue = (g - b) / delta + (g < b ? 6 : 0);
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  return [hue * 60, saturation, lightness];
+}
+
+function hslToRgb([hue, saturation, lightness]) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const segment = hue / 60;
+  const x = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [r, g, b] =
+    segment < 1 ? [chroma, x, 0]
+      : segment < 2 ? [x, chroma, 0]
+        : segment < 3 ? [0, chroma, x]
+          : segment < 4 ? [0, x, chroma]
+            : segment < 5 ? [x, 0, chroma]
+              : [chroma, 0, x];
+  const m = lightness - chroma / 2;
+  return [r, g, b].map((channel) => Math.round((channel + m) * 255));
+}
+
+// Procreate stores swatches as HSV with every channel in 0–1.
+function rgbToHsv(rgb) {
+  const [hue, saturation] = rgbToHsl(rgb);
+  const [r, g, b] = rgb.map((channel) => channel / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  return [hue / 360, max === 0 || saturation === 0 ? 0 : (max - min) / max, max];
+}
+
+function hsvToRgb([hue, saturation, brightness]) {
+  const segment = (((hue % 1) + 1) % 1) * 6;
+  const chroma = brightness * saturation;
+  const x = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [r, g, b] =
+    segment < 1 ? [chroma, x, 0]
+      : segment < 2 ? [x, chroma, 0]
+        : segment < 3 ? [0, chroma, x]
+          : segment < 4 ? [0, x, chroma]
+            : segment < 5 ? [x, 0, chroma]
+              : [chroma, 0, x];
+  const m = brightness - chroma;
+  return [r, g, b].map((channel) => (channel + m) * 255);
+}
+
+function rgbToLab(rgb) {
+  // sRGB (D65) → linear RGB → XYZ → CIELAB.
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = 0.2126729 * r + 0.7151522 * g + 0.072175 * b;
+  const z = (0.0193339 * r + 0.119192 * g + 0.9503041 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function ciede2000([l1, a1, b1], [l2, a2, b2]) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const toDegrees = (radians) => (radians * 180) / Math.PI;
+  const hueAngle = (a, b) => (a === 0 && b === 0 ? 0 : (toDegrees(Math.atan2(b, a)) + 360) % 360);
+
+  const c1 = Math.hypot(a1, b1);
+  const c2 = Math.hypot(a2, b2);
+  const meanC7 = ((c1 + c2) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(meanC7 / (meanC7 + 25 ** 7)));
+  const a1p = (1 + g) * a1;
+  const a2p = (1 + g) * a2;
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const h1p = hueAngle(a1p, b1);
+  const h2p = hueAngle(a2p, b2);
+
+  const deltaL = l2 - l1;
+  const deltaC = c2p - c1p;
+  let deltaH = 0;
+  if (c1p * c2p !== 0) {
+    deltaH = h2p - h1p;
+    if (deltaH > 180) {
+      deltaH -= 360;
+    } else if (deltaH < -180) {
+      deltaH += 360;
+    }
+  }
+  const deltaBigH = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaH / 2));
+
+  const meanL = (l1 + l2) / 2;
+  const meanCp = (c1p + c2p) / 2;
+  let meanHp = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) {
+      meanHp /= 2;
+    } else {
+      meanHp = h1p + h2p < 360 ? (meanHp + 360) / 2 : (meanHp - 360) / 2;
+    }
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos(toRadians(meanHp - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanHp)) +
+    0.32 * Math.cos(toRadians(3 * meanHp + 6)) -
+    0.2 * Math.cos(toRadians(4 * meanHp - 63));
+  const sl = 1 + (0.015 * (meanL - 50) ** 2) / Math.sqrt(20 + (meanL - 50) ** 2);
+  const sc = 1 + 0.045 * meanCp;
+  const sh = 1 + 0.015 * meanCp * t;
+  const meanCp7 = meanCp ** 7;
+  const rt =
+    -2 *
+    Math.sqrt(meanCp7 / (meanCp7 + 25 ** 7)) *
+    Math.sin(toRadians(60 * Math.exp(-(((meanHp - 275) / 25) ** 2))));
+
+  return Math.sqrt(
+    (deltaL / sl) ** 2 +
+      (deltaC / sc) ** 2 +
+      (deltaBigH / sh) ** 2 +
+      rt * (deltaC / sc) * (deltaBigH / sh)
+  );
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function registerWorkflowPrompts(server) {
+  server.registerPrompt(
+    'photo_to_pbn',
+    {
+      title: 'Photo to paint-by-numbers for a canvas',
+      description: 'Turn a photo into a paint-by-numbers kit sized for a physical canvas.',
+      argsSchema: {
+        canvasSize: z
+          .string()
+          .regex(CANVAS_SIZE_PATTERN, 'Use WIDTHxHEIGHT in inches, e.g. 16x20.')
+          .describe('Canvas size in inches as WIDTHxHEIGHT, e.g. 16x20.'),
+        image: z.string().optional().describe('Photo URL or local file path. Asked for when omitted.'),
+        numberOfColors: z
+          .string()
+          .regex(/^\d+$/, 'Use a whole number.')
+          .optional()
+          .describe('Palette size (7-100). Picked from the canvas size and skill level when omitted.'),
+        skillLevel: enumPromptArg(PBN_SKILL_LEVELS).describe(
+          `Painter experience: ${PBN_SKILL_LEVELS.join(', ')}. Defaults to intermediate.`
+        )
+      }
+    },
+    ({ canvasSize, image, numberOfColors, skillLevel = 'intermediate' }) => {
+      const [width, height] = canvasSize.split('x').map(Number);
+      const colors = clampNumber(
+        numberOfColors ? Number(numberOfColors) : suggestPbnColorCount(width * height, skillLevel),
+        7,
+        100
+      );
+      const segmentsComplexity = { beginner: 'level2', intermediate: 'level1', advanced: 'none' }[skillLevel];
+
+      return createPromptResult(`Paint-by-numbers kit for canvas size ${canvasSize}`, [
+        `Create a paint-by-numbers kit from ${image ? `this photo: ${image}` : 'a photo (ask me for a URL or local path first)'} for a canvas of ${canvasSize} inches, for ${skillLevel === 'intermediate' ? 'an' : 'a'} ${skillLevel} painter.`,
+        '',
+        'Steps:',
+        `1. Call create_pbn with canvasSize="${canvasSize}", crop=true, numberOfColors=${colors}, segmentsComplexity="${segmentsComplexity}".`,
+        `   - Pass an http(s) URL as image, or a local path as files.image.path.`,
+        `   - segmentsComplexity options: ${PBN_SEGMENT_COMPLEXITIES.join(', ')}. "none" keeps every detail; the level options merge small regions so there is less to paint.`,
+        `   - mode options: ${PBN_MODES.join(', ')} (polygon is the default and best for printing).`,
+        '   - Keep enhancement=true (default). Raise minArea or thinZoneMerge only if the preview shows many tiny regions.',
+        '2. Call wait_for_item with the returned key.',
+        `3. When ready, download the printable outline with download_pbn type="outlinespdf" (or "pbnpdf" for numbered regions) and the palette with download_pbn_colors type="pdf".`,
+        '4. Summarize the canvas size, color count, and where the files were saved. Do not crop or recolor the photo yourself.',
+        'photo_to_pbn_kit runs steps 1-3 in one call with the same create_pbn parameters and writes the files to a kit folder; prefer it when files should be saved locally.'
+      ]);
+    }
+  );
+
+  server.registerPrompt(
+    'kids_name_coloring_page',
+    {
+      title: 'Kids name coloring page',
+      description: 'Make a printable coloring page from a child\'s name, styled for their age.',
+      argsSchema: {
+        name: z.string().min(1).max(70).describe('Name to render (max 70 characters).'),
+        ageGroup: enumPromptArg(KIDS_AGE_GROUPS).describe(
+          'toddler (2-4), kids (5-8), or tweens (9-12). Defaults to kids.'
+        ),
+        fontStyle: enumPromptArg(NAME_COLORING_FONT_STYLES).describe(
+          `Font style: ${NAME_COLORING_FONT_STYLES.join(', ')}. Picked from the age group when omitted.`
+        ),
+        theme: z.string().max(80).optional().describe('Favourite things to decorate with, e.g. "dinosaurs and stars".')
+      }
+    },
+    ({ name, ageGroup = 'kids', fontStyle, theme }) => {
+      const style = fontStyle ?? { toddler: 'bubble', kids: 'rounded', tweens: 'graffiti' }[ageGroup];
+      const decorations = theme
+        ? `elementAroundText="${theme}"${ageGroup === 'toddler' ? '' : ` and a matching elementInText`}`
+        : 'simple elementAroundText decorations that suit the name, such as "stars, hearts"';
+
+      return createPromptResult(`Name coloring page for ${name}`, [
+        `Create a name coloring page for "${name}" for the ${ageGroup} age group.`,
+        '',
+        'Steps:',
+        `1. Call create_name_coloring_page with name="${name}", fontStyle="${style}", aspectRatio="2x3", and ${decorations}.`,
+        `   - fontStyle options: ${NAME_COLORING_FONT_STYLES.join(', ')}. bubble and rounded letters have large areas that are easy for small hands to color.`,
+        `   - aspectRatio options: ${NAME_COLORING_ASPECT_RATIOS.join(', ')} (2x3 prints best on A4/Letter portrait).`,
+        `   - Each decoration field is limited to 80 characters. ${ageGroup === 'toddler' ? 'Leave elementInText and backgroundDecoration empty so the outlines stay bold and simple.' : 'Keep backgroundDecoration light so the name stays the focus.'}`,
+        '2. Call wait_for_item with the returned key and show me the result.'
+      ]);
+    }
+  );
+
+  server.registerPrompt(
+    'ai_coloring_page',
+    {
+      title: 'AI coloring page',
+      description: 'Generate a coloring page from a text description for a given audience.',
+      argsSchema: {
+        subject: z.string().min(3).max(600).describe('What the page should show, e.g. "a fox reading in a treehouse".'),
+        audience: enumPromptArg(AI_COLORING_AUDIENCES).describe(
+          `${AI_COLORING_AUDIENCES.join(', ')}. Defaults to kids.`
+        ),
+        aspectRatio: enumPromptArg(AI_COLORING_ASPECT_RATIOS).describe(
+          `Page shape: ${AI_COLORING_ASPECT_RATIOS.join(', ')}. Defaults to 3x4.`
+        )
+      }
+    },
+    ({ subject, audience = 'kids', aspectRatio = '3x4' }) =>
+      createPromptResult(`AI coloring page: ${subject}`, [
+        `Create a coloring page showing: ${subject}.`,
+        '',
+        'Steps:',
+        `1. Call create_ai_coloring_page with prompt="${subject}", style="${audience}_coloring_page", aspectRatio="${aspectRatio}", version="v2".`,
+        `   - style options: ${AI_COLORING_STYLES.join(', ')}. kids pages use bold outlines and large areas; adults pages allow fine detail.`,
+        `   - version options: ${AI_COLORING_VERSIONS.join(', ')}.`,
+        '   - Describe the subject only; do not add words like "coloring page" or "line art" to the prompt, the style handles that.',
+        '2. Call wait_for_item with the returned key and show me the result.'
+      ])
+  );
+
+  server.registerPrompt(
+    'pick_ai_filter',
+    {
+      title: 'Pick an AI filter',
+      description: 'Choose an AI filter preset and strength for a photo based on the look you want.',
+      argsSchema: {
+        goal: z.string().min(3).describe('The look you want, e.g. "like a watercolor postcard".'),
+        image: z.string().optional().describe('Photo URL or local file path to apply the filter to.'),
+        family: enumPromptArg(AI_FILTER_FAMILIES).describe(
+          `Limit suggestions to one filter family: ${AI_FILTER_FAMILIES.join(', ')}.`
+        )
+      }
+    },
+    ({ goal, image, family }) => {
+      const groups = AI_FILTER_FAMILIES.filter((entry) => !family || entry === family).map(
+        (entry) => `- ${entry}: ${AI_FILTER_TYPES_FULL.filter((type) => type.split('-')[0] === entry).join(', ')}`
+      );
+
+      return createPromptResult(`AI filter for: ${goal}`, [
+        `Pick the AI filter that best matches this look: "${goal}".`,
+        '',
+        `Available filterType values for apply_image_filter${family ? ` in the ${family} family` : ', by family'}:`,
+        ...groups,
+        '',
+        'Steps:',
+        '1. Suggest the two or three closest filterType values and explain the difference in one line each.',
+        `2. Pick a strength from ${AI_FILTER_STRENGTH_VALUES.join(', ')}: around 0.4 keeps the photo recognisable, 0.8 and above restyles it heavily.`,
+        image
+          ? `3. Call apply_image_filter with image="${image}" (or files.image.path for a local file), the chosen filterType and strength, then wait_for_item with the returned key.`
+          : '3. Ask me for the photo, then call apply_image_filter with the chosen filterType and strength, then wait_for_item with the returned key.',
+        `For paint-by-numbers, create_pbn accepts only these aiFilterType values: ${AI_FILTER_TYPES.join(', ')}.`
+      ]);
+    }
+  );
+}
+
+function enumPromptArg(values) {
+  // completable() has to be the outermost wrapper for the SDK to offer completions.
+  return completable(z.enum(values).optional(), (value) =>
+    values.filter((entry) => entry.startsWith(value ?? ''))
+  );
+}
+
+function createPromptResult(description, lines) {
+  return {
+    description,
+    messages: [
+      {
+        role: 'user',
+        content: { type: 'text', text: lines.join('\n') }
+      }
+    ]
+  };
+}
+
+function suggestPbnColorCount(canvasArea, skillLevel) {
+  // Bigger canvases have room for more regions; beginners get fewer colors to mix and track.
+  const base = canvasArea <= 120 ? 20 : canvasArea <= 320 ? 30 : canvasArea <= 600 ? 36 : 48;
+  return base + { beginner: -6, intermediate: 0, advanced: 12 }[skillLevel];
+}
+
+function clampNumber(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+async function readItemResource(session, path, uri) {
+  const { response } = await callApi(
+    { method: 'GET', path, saveToDisk: false, inlineLimit: MAX_RESOURCE_BYTES },
+    session
+  );
+  if (!response.ok) {
+    const message = response.body?.message ?? response.body?.error ?? response.statusText;
+    const hint = response.status === 409 ? ' The item is not ready yet; wait_for_item can wait for it.' : '';
+    throw new Error(`Failed to read ${uri.href}: ${response.status} ${message}.${hint}`);
+  }
+  if (response.bodyOmitted) {
+    throw new Error(
+      `Failed to read ${uri.href}: the file is larger than ${formatBytes(MAX_RESOURCE_BYTES)}. Download it with outputDir instead.`
+    );
+  }
+  return response;
+}
+
+async function readDownloadResource(session, path, uri) {
+  const response = await readItemResource(session, path, uri);
+  const mimeType = (response.headers['content-type'] ?? 'application/octet-stream').split(';')[0].trim();
+  return {
+    contents: [
+      response.isBinary
+        ? { uri: uri.href, mimeType, blob: response.rawText }
+        : { uri: uri.href, mimeType, text: response.rawText }
+    ]
+  };
+}
+
+function createItemResourceLinks(result) {
+  const { request, response } = result;
+  const route = API_ROUTES.find((entry) => entry.method === request.method && entry.path === request.route);
+  const key = response.body?.key;
+  if (!route?.createsItem || !response.ok || typeof key !== 'string') {
+    return [];
+  }
+  return [
+    {
+      type: 'resource_link',
+      uri: buildItemResourceUri(key),
+      name: key,
+      description: `Item created with ${getRouteToolName(route)}. Read it once ready, or call wait_for_item.`,
+      mimeType: 'application/json'
+    }
+  ];
+}
+
+function buildItemResourceUri(uuid) {
+  return `${RESOURCE_URI_SCHEME}://item/${encodeURIComponent(uuid)}`;
+}
+
+async function trackSessionItem(session, route, result) {
+  const { request, response } = result;
+  const body = response.body;
+  if (!response.ok || !body || typeof body !== 'object') {
+    return;
+  }
+
+  if (route.createsItem && typeof body.key === 'string') {
+    const item = {
+      key: body.key,
+      toolName: getRouteToolName(route),
+      route: `${route.method} ${route.path}`,
+      status: typeof body.status === 'string' ? body.status : null,
+      title: null,
+      created: typeof body.created === 'string' ? body.created : new Date().toISOString()
+    };
+    session.items.set(body.key, item);
+    session.onItemsChanged?.();
+
+    const now = new Date().toISOString();
+    await session.jobs
+      .record({
+        key: item.key,
+        route: item.route,
+        toolName: item.toolName,
+        profile: request.profile,
+        parameters: request.body,
+        uploads: request.uploads,
+        created: item.created,
+        recordedAt: now,
+        status: item.status,
+        title: null,
+        updatedAt: now
+      })
+      .catch(logJobHistoryError);
+    return;
+  }
+
+  // Keep the listed status and title of known items current when they are fetched.
+  const uuid = request.path.match(/^\/service\/item\/([^/]+)$/)?.[1];
+  if (!uuid) {
+    return;
+  }
+  const key = safeDecodeURIComponent(uuid);
+  const item = session.items.get(key);
+  const status = typeof body.status === 'string' ? body.status : item?.status ?? null;
+  const title = typeof body.title === 'string' ? body.title : item?.title ?? null;
+  if (item) {
+    // wait_for_item polls the same item many times; only a change is worth touching the history for.
+    if (item.status === status && item.title === title) {
+      return;
+    }
+    item.status = status;
+    item.title = title;
+  }
+  await session.jobs.update(key, { status, title }).catch(logJobHistoryError);
+}
+
+function logJobHistoryError(error) {
+  console.error(`[${SERVER_INFO.name}] Failed to update job history:`, error instanceof Error ? error.message : error);
+}
+
+function registerRouteTool(server, session, route) {
+  const toolName = getRouteToolName(route);
+  server.registerTool(
+    toolName,
+    {
+      title: formatToolTitle(toolName),
+      description: [route.description, route.notes, `Calls ${route.method} /${route.path}.`]
+        .filter(Boolean)
+        .join(' '),
+      inputSchema: buildRouteToolInputSchema(route),
+      outputSchema: route.outputSchema,
+      annotations: {
+        readOnlyHint: route.method === 'GET',
+        destructiveHint: isDestructiveRoute(route.method, route),
+        openWorldHint: true
+      }
+    },
+    async (args) => {
+      try {
+        const result = await callApi(buildRouteToolRequest(route, await confineLocalPaths(session, args)), session);
+        return await createRouteToolResult(route, result, args);
+      } catch (error) {
+        if (error instanceof RequestValidationError) {
+          return createValidationErrorResult(error);
+        }
+        return server.createToolError(
+          error instanceof Error ? error.message : `Failed to call ${toolName}: ${String(error)}`
+        );
+      }
+    }
+  );
+}
+
+function registerImportedRouteTools(server, session) {
+  for (const route of API_ROUTES.filter((entry) => entry.imported)) {
+    try {
+      registerRouteTool(server, session, route);
+    } catch (error) {
+      // Registered last, so an operation named like a built-in tool loses; it stays reachable through call_api.
+      if (!/already registered/.test(error?.message ?? '')) {
+        throw error;
+      }
+    }
+  }
+}
+
+function getRouteToolName(route) {
+  if (route.toolName) {
+    return route.toolName;
+  }
+  const segments = route.path
+    .split('/')
+    .filter((segment) => segment && !segment.startsWith('{'))
+    .map((segment) => segment.replace(/[^a-zA-Z0-9]+/g, '_').toLowerCase());
+  return [route.method.toLowerCase(), ...segments].join('_');
+}
+
+function formatToolTitle(toolName) {
+  const title = toolName.replace(/_/g, ' ');
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+function buildRouteToolInputSchema(route) {
+  const baseSchema = unwrapObjectSchema(route.inputSchema) ?? z.object({});
+  const extension = {
+    token: CallApiInputSchema.shape.token,
+    profile: CallApiInputSchema.shape.profile,
+    timeoutMs: CallApiInputSchema.shape.timeoutMs,
+    maxRetries: CallApiInputSchema.shape.maxRetries
+  };
+
+  if (!IDEMPOTENT_METHODS.includes(route.method)) {
+    extension.retryUnsafe = CallApiInputSchema.shape.retryUnsafe;
+    extension.idempotencyKey = CallApiInputSchema.shape.idempotencyKey;
+  }
+
+  if (route.fileDownload) {
+    extension.outputDir = CallApiInputSchema.shape.outputDir;
+  }
+
+  if (route.returnsImages) {
+    extension.imageOutput = ImageOutputSchema;
+    extension.thumbnailSize = ThumbnailSizeSchema;
+  }
+
+  if (route.uploadFields?.length) {
+    for (const field of route.uploadFields) {
+      if (baseSchema.shape[field]) {
+        // Either the field value (URL) or a matching files entry must be supplied; call_api validation enforces it.
+        extension[field] = baseSchema.shape[field].optional();
+      }
+    }
+    extension.files = z
+      .object(Object.fromEntries(route.uploadFields.map((field) => [field, UploadFileSchema.optional()])))
+      .optional()
+      .describe(
+        `Optional local file or base64 uploads for ${route.uploadFields.join(', ')}. Use instead of passing a URL. Sent as multipart/form-data.`
+      );
+  }
+
+  return baseSchema.extend(extension);
+}
+
+function unwrapObjectSchema(schema) {
+  let current = schema;
+  while (current instanceof z.ZodEffects) {
+    current = current._def.schema;
+  }
+  return current instanceof z.ZodObject ? current : null;
+}
+
+function buildRouteToolRequest(route, args) {
+  const {
+    token,
+    profile,
+    timeoutMs,
+    maxRetries,
+    retryUnsafe,
+    idempotencyKey,
+    files,
+    outputDir,
+    imageOutput,
+    thumbnailSize,
+    ...fields
+  } = args;
+  const pathParams = new Set();
+  const path = route.path.replace(/\{([^}]+)\}/g, (_match, name) => {
+    pathParams.add(name);
+    return encodeURIComponent(String(fields[name] ?? ''));
+  });
+  const payload = Object.fromEntries(
+    Object.entries(fields).filter(([key, value]) => !pathParams.has(key) && value !== undefined)
+  );
+  const usesQuery = route.method === 'GET' || route.method === 'DELETE';
+
+  return {
+    method: route.method,
+    path,
+    token,
+    profile,
+    timeoutMs,
+    maxRetries,
+    retryUnsafe,
+    idempotencyKey,
+    files: files && Object.values(files).some(Boolean) ? files : undefined,
+    outputDir,
+    query: usesQuery && Object.keys(payload).length ? payload : undefined,
+    body: usesQuery ? undefined : payload
+  };
+}
+
+async function createRouteToolResult(route, result, options) {
+  const { response } = result;
+  const content = [
+    {
+      type: 'text',
+      text: formatCallSummary(result)
+    }
+  ];
+
+  if (!response.ok) {
+    return { content, isError: true };
+  }
+
+  const payload =
+    response.body && typeof response.body === 'object' && !Array.isArray(response.body)
+      ? response.body
+      : {
+          file: response.savedFile ?? {
+            filename: parseContentDispositionFilename(response.headers['content-disposition']),
+            contentType: response.headers['content-type'] ?? null,
+            isBinary: response.isBinary,
+            rawText: response.rawText,
+            bodyOmitted: response.bodyOmitted
+          }
+        };
+  if (route.parsesPalette) {
+    const palette = await parseDownloadedPalette(response);
+    if (palette) {
+      payload.palette = palette;
+    }
+  }
+  // Clients reject properties the output schema does not declare, so strip extras the backend adds.
+  const parsed = route.outputSchema?.safeParse(payload);
+  content.push(...createItemResourceLinks(result));
+  if (route.returnsImages) {
+    content.push(...(await buildResponseImageContent(result, options)));
+  }
+
+  if (parsed && !parsed.success) {
+    // Invalid structured output fails the whole call, so a drifted response is reported as text instead.
+    content.push({
+      type: 'text',
+      text: [
+        `The response does not match the ${getRouteToolName(route)} output schema:`,
+        ...parsed.error.issues.map((issue) => `- ${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      ].join('\n')
+    });
+    return { content, isError: true };
+  }
+  return { content, structuredContent: parsed ? parsed.data : payload };
+}
+
+function parseContentDispositionFilename(header) {
+  if (!header) {
+    return null;
+  }
+  const extended = header.match(/filename\*\s*=\s*(?:[\w-]+)''([^;]+)/i);
+  if (extended) {
+    return safeDecodeURIComponent(extended[1].trim().replace(/^"|"$/g, ''));
+  }
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  return plain ? (plain[2] ?? plain[1]).trim() : null;
+}
+
+async function callApi({
+  method = 'GET',
+  path,
+  query,
+  body,
+  token,
+  profile,
+  headers,
+  timeoutMs,
+  maxRetries,
+  retryUnsafe = false,
+  idempotencyKey,
+  files,
+  outputDir,
+  saveToDisk = true,
+  inlineLimit = CONFIG.maxInlineBytes,
+  skipValidation = false,
+  dryRun = false
+}, session) {
+  if (!path) {
+    throw new Error('Path is required.');
+  }
+
+  const routeMatch = matchApiRoute(method, path);
+  guardRequestTarget(method, path, headers, routeMatch);
+  if (!skipValidation) {
+    validateRouteInput(method, path, routeMatch, { query, body, files });
+  }
+  const creditCost = estimateCreditCost(routeMatch.route, getRequestInput(routeMatch, { query, body }));
+
+  const uploads = files
+    ? await Promise.all(
+        Object.entries(files).map(([field, file]) => loadUploadFile(field, file, routeMatch.route))
+      )
+    : [];
+
+  const url = buildUrl(path, query);
+  const appliedTimeout = clampTimeout(timeoutMs ?? CONFIG.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+
+  const profileName = profile ?? session.credentials.activeProfile;
+  const requestHeaders = buildHeaders(headers);
+  const storedToken = session.credentials.getToken(profileName);
+  const bearerToken = token ?? storedToken;
+  if (bearerToken) {
+    requestHeaders.set('Authorization', bearerToken.startsWith('Bearer ') ? bearerToken : `Bearer ${bearerToken}`);
+  }
+  if (idempotencyKey) {
+    requestHeaders.set('Idempotency-Key', idempotencyKey);
+  }
+  // Creation routes spend credits, so they are only retried when the caller accepts that or the backend can de-duplicate.
+  const retryAllowed =
+    IDEMPOTENT_METHODS.includes(method) || retryUnsafe || requestHeaders.has('Idempotency-Key');
+  const retryLimit = retryAllowed ? maxRetries ?? CONFIG.maxRetries : 0;
+
+  let serializedBody = null;
+  if (uploads.length) {
+    serializedBody = buildMultipartBody(body, uploads);
+    // fetch generates the multipart boundary only when Content-Type is left unset.
+    requestHeaders.delete('Content-Type');
+  } else if (body !== undefined) {
+    if (typeof body === 'string') {
+      serializedBody = body;
+      if (!requestHeaders.has('Content-Type')) {
+        requestHeaders.set('Content-Type', 'text/plain');
+      }
+    } else {
+      serializedBody = JSON.stringify(body);
+      if (!requestHeaders.has('Content-Type')) {
+        requestHeaders.set('Content-Type', 'application/json');
+      }
+    }
+  }
+
+  const describeRequest = (attempts) => ({
+    method,
+    url: url.toString(),
+    path: normalizeRelativePath(path),
+    profile: token ? null : profileName,
+    route: routeMatch.route?.path ?? null,
+    headers: headersToObject(requestHeaders),
+    query: query ?? null,
+    body: redactBodyFields(body) ?? null,
+    uploads: uploads.length ? uploads.map(({ buffer, ...summary }) => summary) : null,
+    timeoutMs: appliedTimeout,
+    attempts
+  });
+
+  if (dryRun) {
+    return {
+      request: { ...describeRequest(0), serializedBody: describeSerializedBody(serializedBody), creditCost },
+      dryRun: true,
+      response: null
+    };
+  }
+
+  const reservation = reserveCredits(routeMatch, creditCost, session);
+  try {
+    // One prompt covers both MCP_CONFIRM and a budget overrun, so a call never asks twice.
+    await confirmRequest(method, routeMatch, creditCost, session, reservation?.exceeded);
+    await checkCreditBalance(routeMatch, creditCost, { token, profile }, session);
+  } catch (error) {
+    reservation?.release();
+    throw error;
+  }
+
+  let attempts = 0;
+  let timer;
+  let answered = false;
+
+  try {
+    let response;
+    while (true) {
+      attempts += 1;
+      const controller = new AbortController();
+      timer = setTimeout(() => controller.abort(), appliedTimeout);
+      let retryDelay = null;
+      try {
+        response = await fetch(url, {
+          method,
+          headers: requestHeaders,
+          body: serializedBody ?? undefined,
+          signal: controller.signal
+        });
+        if (attempts <= retryLimit && RETRYABLE_STATUSES.includes(response.status)) {
+          retryDelay = computeRetryDelay(attempts, response.headers.get('retry-after'));
+        }
+      } catch (error) {
+        if (error?.name === 'AbortError' || attempts > retryLimit) {
+          throw error;
+        }
+        retryDelay = computeRetryDelay(attempts);
+      }
+
+      if (retryDelay === null) {
+        break;
+      }
+      clearTimeout(timer);
+      await response?.body?.cancel().catch(() => {});
+      response = undefined;
+      await sleep(retryDelay);
+    }
+    answered = true;
+    // A rejected request gives the credits back.
+    if (!response.ok) {
+      reservation?.release();
+    }
+
+    const contentType = response.headers.get('content-type') ?? '';
+    const isBinary = isBinaryContentType(contentType);
+    const saveDir = saveToDisk ? outputDir ?? CONFIG.downloadDir : null;
+    let rawText = '';
+    let savedFile = null;
+    let bodyOmitted = false;
+
+    if (saveDir && response.ok && (routeMatch.route?.fileDownload || isFileDownload(response.headers, isBinary))) {
+      savedFile = await saveResponseToFile(response, saveDir, routeMatch.lookupPath);
+    } else {
+      const buffer = await readResponseWithLimit(response, inlineLimit);
+      if (buffer) {
+        rawText = isBinary ? buffer.toString('base64') : buffer.toString('utf8');
+      } else {
+        bodyOmitted = true;
+      }
+    }
+    let parsedBody = isBinary ? null : tryParseJson(rawText);
+
+    const authAction = routeMatch.route?.authAction;
+    // An explicit token belongs to some other session; logging it out or reading its account must not touch the stored profile.
+    const sentStoredToken = !token || stripBearerPrefix(token) === stripBearerPrefix(storedToken ?? '');
+    if (authAction && response.ok && (authAction === 'login' || sentStoredToken)) {
+      applyAuthAction(session.credentials, authAction, profileName, parsedBody);
+    }
+    // The login token stays in the credential store and never reaches the conversation.
+    const issuedToken = typeof parsedBody?.token === 'string' ? parsedBody.token : null;
+    if (issuedToken) {
+      parsedBody = redactBodyFields(parsedBody);
+      rawText = rawText.split(issuedToken).join('***');
+    }
+
+    const structuredContent = {
+      request: describeRequest(attempts),
+      dryRun: false,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        ok: response.ok,
+        headers: headersToObject(response.headers),
+        body: parsedBody ?? null,
+        rawText,
+        isBinary,
+        savedFile,
+        bodyOmitted
+      }
+    };
+
+    if (routeMatch.route) {
+      // Awaited so the job history is on disk before the result reaches the client.
+      await trackSessionItem(session, routeMatch.route, structuredContent);
+    }
+
+    return structuredContent;
+  } catch (error) {
+    // So does one that never got a response (network error or timeout), or a flaky backend would use up the daily
+    // budget. The budget is a guardrail; the backend still charges the balance for a job it created anyway.
+    if (!answered) {
+      reservation?.release();
+    }
+    const attemptNote = attempts > 1 ? ` (after ${attempts} attempts)` : '';
+    if (error?.name === 'AbortError') {
+      throw new Error(`Request exceeded timeout of ${appliedTimeout}ms${attemptNote}.`, { cause: error });
+    }
+    if (attemptNote && error instanceof Error) {
+      throw new Error(`${error.message}${attemptNote}`, { cause: error });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Timeouts and fetch network failures; a blocked, invalid, unconfirmed or over-budget request is not retried.
+function isTransientRequestError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.name === 'AbortError' || (current instanceof TypeError && current.message === 'fetch failed')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function estimateCreditCost(route, input = {}) {
+  if (!route) {
+    return 0;
+  }
+  const { costs } = CONFIG.credits;
+  const rule = costs[getRouteToolName(route)] ?? costs[`${route.method} ${route.path}`];
+  if (typeof rule === 'number') {
+    return rule;
+  }
+  if (!rule || typeof rule !== 'object') {
+    return 0;
+  }
+  // { base, params: { field: { value: extra } } } adds credits for matching input values, e.g. upscale 4x.
+  let cost = Number(rule.base ?? 0);
+  for (const [field, extras] of Object.entries(rule.params ?? {})) {
+    const value = input[field];
+    if (value !== undefined && value !== null && extras?.[String(value)] !== undefined) {
+      cost += Number(extras[String(value)]);
+    }
+  }
+  return Number.isFinite(cost) ? cost : 0;
+}
+
+function createCreditLedger(filePath) {
+  // Local calendar day, matching the "per day" users budget for.
+  const dayOf = (now) => {
+    const date = new Date(now);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  };
+  const readDays = (data) => (data?.days && typeof data.days === 'object' && !Array.isArray(data.days) ? data.days : {});
+
+  let day = dayOf(Date.now());
+  // stored: today's total in the file at the last write; pending: this process's changes not written yet.
+  let stored = 0;
+  let pending = 0;
+  if (filePath) {
+    try {
+      stored = Number(readDays(JSON.parse(readFileSync(filePath, 'utf8')))[day]) || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[${SERVER_INFO.name}] Could not read credit ledger ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  const rollOver = () => {
+    const today = dayOf(Date.now());
+    if (today !== day) {
+      day = today;
+      stored = 0;
+      pending = 0;
+    }
+  };
+
+  let queue = Promise.resolve();
+  const save = () => {
+    if (!filePath) {
+      return;
+    }
+    queue = queue.then(async () => {
+      const delta = pending;
+      const savedDay = day;
+      pending -= delta;
+      try {
+        let days = {};
+        try {
+          days = readDays(JSON.parse(await readFile(filePath, 'utf8')));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+        // Re-reading picks up what other server processes spent; past days are dropped.
+        const total = Math.max(0, (Number(days[savedDay]) || 0) + delta);
+        await mkdir(dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, `${JSON.stringify({ version: 1, days: { [savedDay]: total } }, null, 2)}\n`);
+        await rename(tempPath, filePath);
+        if (savedDay === day) {
+          stored = total;
+        }
+      } catch (error) {
+        // Kept in memory so the budget still counts it, and written with the next change.
+        if (savedDay === day) {
+          pending += delta;
+        }
+        console.error(`[${SERVER_INFO.name}] Failed to update credit ledger ${filePath}:`, error instanceof Error ? error.message : error);
+      }
+    });
+  };
+
+  return {
+    path: filePath ?? null,
+    spentToday() {
+      rollOver();
+      return stored + pending;
+    },
+    // Synchronous, so a reservation is visible to the next budget check before any await.
+    reserve(cost) {
+      rollOver();
+      pending += cost;
+      save();
+      return { day, cost };
+    },
+    release(entry) {
+      rollOver();
+      if (entry.day === day) {
+        pending -= entry.cost;
+        save();
+      }
+    },
+    flush() {
+      return queue;
+    }
+  };
+}
+
+function getCreditBudgets(session) {
+  const { sessionBudget, dailyBudget } = CONFIG.credits;
+  const spentToday = creditLedger.spentToday();
+  return {
+    session: {
+      spent: session.creditsSpent,
+      budget: sessionBudget,
+      remaining: sessionBudget === null ? null : Math.max(0, sessionBudget - session.creditsSpent)
+    },
+    daily: {
+      spent: spentToday,
+      budget: dailyBudget,
+      remaining: dailyBudget === null ? null : Math.max(0, dailyBudget - spentToday)
+    }
+  };
+}
+
+async function fetchCreditBalance(session, { token, profile } = {}) {
+  try {
+    const { response } = await callApi({ method: 'GET', path: 'user/me', token, profile, maxRetries: 0 }, session);
+    return response.ok && typeof response.body?.credits === 'number' ? response.body.credits : null;
+  } catch {
+    // An unreachable balance should not block the call; the backend still enforces it.
+    return null;
+  }
+}
+
+function getRequestInput(routeMatch, { query, body }) {
+  const payload = typeof body === 'string' ? tryParseJson(body) : body;
+  return {
+    ...query,
+    ...(payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {}),
+    ...routeMatch.params
+  };
+}
+
+function reserveCredits(routeMatch, cost, session) {
+  if (!cost) {
+    return null;
+  }
+  const { route } = routeMatch;
+
+  const label = `${route.method} /${route.path}`;
+  const { session: sessionBudget, daily } = getCreditBudgets(session);
+  const exceeded = [
+    sessionBudget.remaining !== null && cost > sessionBudget.remaining
+      ? `the session budget (${sessionBudget.spent} of ${sessionBudget.budget} credits spent)`
+      : null,
+    daily.remaining !== null && cost > daily.remaining
+      ? `the daily budget (${daily.spent} of ${daily.budget} credits spent today)`
+      : null
+  ].filter(Boolean);
+
+  if (exceeded.length && CONFIG.credits.overBudget === 'refuse') {
+    throw new CreditGuardError(
+      `${label} costs ${formatCredits(cost)} and would exceed ${exceeded.join(' and ')}. Raise MCP_CREDIT_SESSION_BUDGET or MCP_CREDIT_DAILY_BUDGET to allow it.`,
+      { route: label, cost }
+    );
+  }
+
+  // Synchronous, so parallel calls (batch items, several clients) see each other's spending in their budget check.
+  // An overrun is confirmed by confirmRequest, together with any MCP_CONFIRM reason.
+  const entry = creditLedger.reserve(cost);
+  session.creditsSpent += cost;
+  let released = false;
+  return {
+    cost,
+    exceeded,
+    release() {
+      if (!released) {
+        released = true;
+        creditLedger.release(entry);
+        session.creditsSpent -= cost;
+      }
+    }
+  };
+}
+
+async function checkCreditBalance(routeMatch, cost, { token, profile }, session) {
+  if (!cost || !CONFIG.credits.checkBalance) {
+    return;
+  }
+  const label = `${routeMatch.route.method} /${routeMatch.route.path}`;
+  const balance = await fetchCreditBalance(session, { token, profile });
+  if (balance !== null && balance < cost) {
+    throw new CreditGuardError(`${label} costs ${formatCredits(cost)} but the balance is ${balance}.`, { route: label, cost });
+  }
+}
+
+function isDestructiveRoute(method, route) {
+  return DESTRUCTIVE_METHODS.includes(method) || route?.destructive === true;
+}
+
+async function confirmRequest(method, routeMatch, cost, session, exceeded = []) {
+  const overBudget = exceeded.length > 0;
+  const reasons = [
+    CONFIG.confirm.includes('destructive') && isDestructiveRoute(method, routeMatch.route)
+      ? 'changes or removes data'
+      : null,
+    (CONFIG.confirm.includes('credits') && cost > 0) || overBudget
+      ? `spends ${formatCredits(cost)}${overBudget ? ` and would exceed ${exceeded.join(' and ')}` : ''}`
+      : null
+  ].filter(Boolean);
+  if (!reasons.length) {
+    return;
+  }
+
+  const label = `${method} /${routeMatch.route?.path ?? routeMatch.lookupPath}`;
+  const message = `${label} ${reasons.join(' and ')}.`;
+  const confirmed = await session.confirm?.(`${message} Send it?`);
+  if (confirmed) {
+    return;
+  }
+  if (overBudget) {
+    throw new CreditGuardError(
+      confirmed === false
+        ? `${message} The user declined.`
+        : `${message} The client cannot ask the user to confirm, so the request was not sent.`,
+      { route: label, cost }
+    );
+  }
+  throw new Error(
+    confirmed === false
+      ? `${message} The user declined, so the request was not sent.`
+      : `${message} MCP_CONFIRM requires confirmation, but the client cannot ask the user, so the request was not sent.`
+  );
+}
+
+function formatCreditEstimate(estimate) {
+  const describeBudget = (label, { spent, budget, remaining }) =>
+    budget === null ? `${label}: ${spent} spent, no budget` : `${label}: ${spent} of ${budget} spent, ${remaining} left`;
+  return [
+    `${estimate.tool} (${estimate.route}): ${formatCredits(estimate.costPerCall)} per call, ${estimate.total} for ${estimate.count}`,
+    `balance: ${estimate.balance ?? 'unknown'}`,
+    describeBudget('session', estimate.session),
+    describeBudget('today', estimate.daily),
+    estimate.allowed ? 'Within the balance and budgets.' : 'Exceeds the balance or a budget.'
+  ].join('\n');
+}
+
+function formatCredits(count) {
+  return `${count} credit${count === 1 ? '' : 's'}`;
+}
+
+async function confirmWithUser(server, message) {
+  // null means the client has no elicitation support, so nobody could be asked.
+  if (!server.server.getClientCapabilities()?.elicitation) {
+    return null;
+  }
+  const result = await server.server.elicitInput({
+    message,
+    requestedSchema: {
+      type: 'object',
+      properties: {
+        confirm: { type: 'boolean', title: 'Proceed', description: 'Send the request.' }
+      },
+      required: ['confirm']
+    }
+  });
+  return result.action === 'accept' && result.content?.confirm === true;
+}
+
+function computeRetryDelay(attempt, retryAfter) {
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) {
+    // A server asking for a longer pause than we are willing to wait gets its response back instead.
+    return retryAfterMs <= MAX_RETRY_DELAY_MS ? retryAfterMs : null;
+  }
+  const ceiling = Math.min(MAX_RETRY_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number.parseInt(trimmed, 10) * 1000;
+  }
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function buildResponseImageContent(result, { imageOutput = 'thumbnail', thumbnailSize } = {}) {
+  const { request, response } = result;
+  if (imageOutput === 'none' || !response.ok) {
+    return [];
+  }
+
+  const mimeType = (response.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+  if (RENDERABLE_IMAGE_TYPES.includes(mimeType) || mimeType === 'image/svg+xml') {
+    let buffer = null;
+    if (response.savedFile) {
+      buffer = await readFile(response.savedFile.path);
+    } else if (!response.bodyOmitted) {
+      buffer = decodeResponseBody(response);
+    }
+    if (!buffer) {
+      return [];
+    }
+    const uri = response.savedFile ? pathToFileURL(response.savedFile.path).href : request.url;
+    return [await createImageContent(buffer, mimeType, { imageOutput, thumbnailSize, uri })];
+  }
+
+  if (response.body && typeof response.body === 'object' && !Array.isArray(response.body)) {
+    return buildItemImageContent(response.body, { imageOutput, thumbnailSize });
+  }
+  return [];
+}
+
+async function buildItemImageContent(item, { imageOutput = 'thumbnail', thumbnailSize } = {}) {
+  if (imageOutput === 'none' || !item || !ITEM_READY_STATUSES.includes(String(item.status).toLowerCase())) {
+    return [];
+  }
+
+  const urls = collectItemImageUrls(item.images);
+  const blocks = await Promise.all(
+    urls.slice(0, MAX_ITEM_IMAGES).map(async (url) => {
+      try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(CONFIG.timeoutMs) });
+        if (!response.ok) {
+          await response.body?.cancel();
+          return { type: 'text', text: `Could not load image ${url}: ${response.status} ${response.statusText}` };
+        }
+        const headerType = (response.headers.get('content-type') ?? '').split(';')[0].trim().toLowerCase();
+        const buffer = await readResponseWithLimit(response, MAX_IMAGE_FETCH_BYTES);
+        if (!buffer) {
+          return { type: 'text', text: `Skipped image ${url}: larger than ${formatBytes(MAX_IMAGE_FETCH_BYTES)}.` };
+        }
+        const mimeType = headerType.startsWith('image/') ? headerType : guessImageMimeType(url);
+        if (!mimeType) {
+          return { type: 'text', text: `Skipped ${url}: not an image (${headerType || 'unknown type'}).` };
+        }
+        return await createImageContent(buffer, mimeType, { imageOutput, thumbnailSize, uri: url });
+      } catch (error) {
+        return { type: 'text', text: `Could not load image ${url}: ${error instanceof Error ? error.message : String(error)}` };
+      }
+    })
+  );
+
+  if (urls.length > MAX_ITEM_IMAGES) {
+    blocks.push({
+      type: 'text',
+      text: `Showing ${MAX_ITEM_IMAGES} of ${urls.length} images; the remaining URLs are listed in the item payload.`
+    });
+  }
+  return blocks;
+}
+
+function collectItemImageUrls(images) {
+  const urls = [];
+  const visit = (value) => {
+    if (typeof value === 'string' && /^https?:\/\//i.test(value)) {
+      urls.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(images);
+  return [...new Set(urls)];
+}
+
+function guessImageMimeType(url) {
+  const extension = extname(new URL(url).pathname).slice(1).toLowerCase();
+  const match = Object.entries(DOWNLOAD_EXTENSIONS).find(
+    ([type, ext]) => type.startsWith('image/') && (ext === extension || (ext === 'jpg' && extension === 'jpeg'))
+  );
+  return match?.[0] ?? null;
+}
+
+async function createImageContent(buffer, mimeType, { imageOutput = 'thumbnail', thumbnailSize = CONFIG.thumbnailSize, uri }) {
+  const sharp = await loadSharp();
+
+  if (mimeType === 'image/svg+xml' && (imageOutput === 'full' || !sharp)) {
+    if (buffer.length > CONFIG.maxInlineBytes) {
+      return { type: 'text', text: `SVG ${uri} (${formatBytes(buffer.length)}) is larger than MCP_MAX_INLINE_BYTES; save it with outputDir instead.` };
+    }
+    return { type: 'resource', resource: { uri, mimeType, text: buffer.toString('utf8') } };
+  }
+
+  if (imageOutput === 'thumbnail' && sharp) {
+    const outputFormat = mimeType === 'image/jpeg' ? 'jpeg' : 'png';
+    let thumbnail;
+    try {
+      thumbnail = await sharp(buffer, { limitInputPixels: MAX_THUMBNAIL_INPUT_PIXELS })
+        .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: mimeType !== 'image/svg+xml' })
+        .toFormat(outputFormat)
+        .toBuffer();
+    } catch (error) {
+      if (!/pixel limit/i.test(error?.message ?? '')) {
+        throw error;
+      }
+      return {
+        type: 'text',
+        text: `Image ${uri} is larger than ${MAX_UPLOAD_DIMENSION}x${MAX_UPLOAD_DIMENSION}px, so no thumbnail was made; open the link instead.`
+      };
+    }
+    return { type: 'image', data: thumbnail.toString('base64'), mimeType: `image/${outputFormat}` };
+  }
+
+  if (!RENDERABLE_IMAGE_TYPES.includes(mimeType)) {
+    return { type: 'text', text: `Cannot display ${mimeType} image ${uri}.` };
+  }
+  if (buffer.length > CONFIG.maxInlineBytes) {
+    return {
+      type: 'text',
+      text: `Image ${uri} (${formatBytes(buffer.length)}) is larger than MCP_MAX_INLINE_BYTES${
+        sharp ? '; request imageOutput=thumbnail instead.' : '. Install the optional sharp dependency to get thumbnails.'
+      }`
+    };
+  }
+  return { type: 'image', data: buffer.toString('base64'), mimeType };
+}
+
+let sharpModule;
+
+function loadSharp() {
+  // sharp is an optional dependency; without it images are returned at full size or as SVG resources.
+  sharpModule ??= import('sharp').then((module) => module.default).catch(() => null);
+  return sharpModule;
+}
+
+function createSession({ seedCredentials = true, localFiles = { enabled: true, root: null }, jobs = jobStore } = {}) {
+  return {
+    items: new Map(),
+    jobs,
+    creditsSpent: 0,
+    localFiles,
+    credentials: createCredentialStore(
+      seedCredentials ? { defaultToken: CONFIG.defaultToken, profileTokens: CONFIG.profileTokens } : {}
+    )
+  };
+}
+
+function createHttpSession() {
+  // Remote clients sign in themselves, only reach the disk under MCP_HTTP_FILE_ROOT, and see only their own jobs.
+  // Clients sharing the operator's credentials act as the operator's account, so they share its persisted history too.
+  // Otherwise a session has no stable identity to key a file by: every login issues a new token, and anything else would
+  // come from the client. Its history therefore lives in memory and ends with the session.
+  return createSession({
+    seedCredentials: CONFIG.http.shareCredentials,
+    localFiles: { enabled: Boolean(CONFIG.http.fileRoot), root: CONFIG.http.fileRoot },
+    jobs: CONFIG.http.shareCredentials ? jobStore : createJobStore(null, { inMemory: true })
+  });
+}
+
+async function confineLocalPaths(session, args, { sourcePath = false } = {}) {
+  const { enabled, root } = session.localFiles;
+  if (enabled && !root) {
+    return args;
+  }
+  const confined = { ...args };
+  for (const option of ['outputDir', 'paletteFile', ...(sourcePath ? ['path'] : [])]) {
+    if (typeof confined[option] === 'string') {
+      confined[option] = await confineLocalPath(session, confined[option], option);
+    }
+  }
+  if (confined.files && typeof confined.files === 'object') {
+    const entries = await Promise.all(
+      Object.entries(confined.files).map(async ([field, file]) => [
+        field,
+        typeof file?.path === 'string' ? { ...file, path: await confineLocalPath(session, file.path, `files.${field}.path`) } : file
+      ])
+    );
+    confined.files = Object.fromEntries(entries);
+  }
+  // submit_batch items and defaults carry the same options as the tool they run.
+  if (Array.isArray(confined.items)) {
+    confined.items = await Promise.all(confined.items.map((item) => confineLocalPaths(session, item)));
+  }
+  if (confined.defaults && typeof confined.defaults === 'object') {
+    confined.defaults = await confineLocalPaths(session, confined.defaults);
+  }
+  return confined;
+}
+
+async function confineLocalPath(session, path, option) {
+  const { enabled, root } = session.localFiles;
+  if (!enabled) {
+    throw new Error(
+      `${option} is not available to HTTP clients because it reads or writes the server's disk. Set MCP_HTTP_FILE_ROOT to allow files under one directory.`
+    );
+  }
+  const target = resolve(root, path);
+  // Symlinks are followed, so a link inside the root cannot point back out of it.
+  const [realRoot, realTarget] = await Promise.all([realpathOfExisting(root), realpathOfExisting(target)]);
+  if (realTarget !== realRoot && !realTarget.startsWith(`${realRoot}${sep}`)) {
+    throw new Error(`${option} must be inside MCP_HTTP_FILE_ROOT (${root}).`);
+  }
+  return target;
+}
+
+async function realpathOfExisting(target) {
+  const missing = [];
+  let current = target;
+  while (true) {
+    try {
+      return join(await realpath(current), ...missing);
+    } catch (error) {
+      const parent = dirname(current);
+      if (error?.code !== 'ENOENT' || parent === current) {
+        throw error;
+      }
+      missing.unshift(basename(current));
+      current = parent;
+    }
+  }
+}
+
+function createCredentialStore({ defaultToken = null, profileTokens = {} } = {}) {
+  const profiles = new Map();
+  let activeProfile = DEFAULT_PROFILE;
+
+  const ensure = (name) => {
+    if (!profiles.has(name)) {
+      profiles.set(name, { token: null, source: null, account: null, updatedAt: null });
+    }
+    return profiles.get(name);
+  };
+
+  const store = {
+    get activeProfile() {
+      return activeProfile;
+    },
+    getToken(name = activeProfile) {
+      return profiles.get(name)?.token ?? null;
+    },
+    setToken(name, token, source, account = null) {
+      const entry = ensure(name);
+      entry.token = token;
+      entry.source = source;
+      entry.account = account ?? entry.account;
+      entry.updatedAt = new Date().toISOString();
+    },
+    updateAccount(name, account) {
+      const entry = ensure(name);
+      entry.account = { ...entry.account, ...account };
+    },
+    clear(name) {
+      const entry = ensure(name);
+      entry.token = null;
+      entry.source = null;
+      entry.updatedAt = new Date().toISOString();
+    },
+    switchTo(name) {
+      ensure(name);
+      activeProfile = name;
+    },
+    list() {
+      return Array.from(profiles.entries()).map(([name, entry]) => ({
+        name,
+        active: name === activeProfile,
+        authenticated: Boolean(entry.token),
+        source: entry.source,
+        account: entry.account,
+        updatedAt: entry.updatedAt
+      }));
+    }
+  };
+
+  ensure(DEFAULT_PROFILE);
+  if (defaultToken) {
+    store.setToken(DEFAULT_PROFILE, defaultToken, 'env');
+  }
+  for (const [name, token] of Object.entries(profileTokens)) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      console.warn(`Ignoring MCP_API_PROFILES entry with invalid profile name: ${name}`);
+      continue;
+    }
+    if (token) {
+      store.setToken(name, token, 'env');
+    }
+  }
+  return store;
+}
+
+function createJobStore(filePath, { inMemory = false } = {}) {
+  if (!filePath && !inMemory) {
+    return {
+      enabled: false,
+      path: null,
+      record: async () => null,
+      update: async () => null,
+      get: async () => null,
+      list: async () => []
+    };
+  }
+
+  let queue = Promise.resolve();
+  // Operations run one at a time and re-read the file, so sessions (and other server processes) keep each other's jobs.
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  let cached = inMemory ? [] : null;
+  // Stamp of the file as this store last wrote it. Every write renames a new file into place, so the inode changes too.
+  let ownStamp = null;
+  const stampOf = (stats) => `${stats.ino}:${stats.mtimeNs}:${stats.size}`;
+
+  // Callers get copies, so changing a returned job never changes the store behind its back.
+  const load = async () => {
+    if (inMemory) {
+      return structuredClone(cached);
+    }
+    try {
+      // Polls hit the history constantly, so the file is only parsed again when someone else wrote it since our last write.
+      const stats = await stat(filePath, { bigint: true });
+      if (cached && ownStamp === stampOf(stats)) {
+        return structuredClone(cached);
+      }
+      const data = JSON.parse(await readFile(filePath, 'utf8'));
+      cached = Array.isArray(data?.jobs) ? data.jobs : [];
+      return structuredClone(cached);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        cached = null;
+        return [];
+      }
+      throw new Error(`Could not read job history ${filePath}: ${error.message}`);
+    }
+  };
+
+  const save = async (jobs) => {
+    if (inMemory) {
+      cached = structuredClone(jobs);
+      return;
+    }
+    cached = null;
+    ownStamp = null;
+    await mkdir(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, `${JSON.stringify({ version: 1, jobs }, null, 2)}\n`);
+    await rename(tempPath, filePath);
+    cached = structuredClone(jobs);
+    ownStamp = stampOf(await stat(filePath, { bigint: true }));
+  };
+
+  return {
+    enabled: true,
+    path: filePath ?? null,
+    record(job) {
+      return enqueue(async () => {
+        const jobs = (await load()).filter((entry) => entry.key !== job.key);
+        jobs.push(job);
+        await save(jobs.slice(-MAX_JOB_HISTORY));
+        return structuredClone(job);
+      });
+    },
+    update(key, fields) {
+      return enqueue(async () => {
+        const jobs = await load();
+        const job = jobs.find((entry) => entry.key === key);
+        if (!job || Object.entries(fields).every(([field, value]) => job[field] === value)) {
+          return job ?? null;
+        }
+        Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+        await save(jobs);
+        return structuredClone(job);
+      });
+    },
+    get(key) {
+      return enqueue(async () => (await load()).find((entry) => entry.key === key) ?? null);
+    },
+    list() {
+      return enqueue(load);
+    }
+  };
+}
+
+function requireJobStore(session) {
+  if (!session.jobs.enabled) {
+    throw new Error('Job history is disabled. Set MCP_JOB_HISTORY_FILE to a file path to enable it.');
+  }
+  return session.jobs;
+}
+
+function filterJobs(jobs, { route, status, since, until } = {}) {
+  const routeFilter = route ? normalizeRelativePath(route).slice(1).toLowerCase() : null;
+  const sinceTime = since ? parseDateFilter(since) : null;
+  const untilTime = until ? parseDateFilter(until, { endOfDay: true }) : null;
+
+  return jobs
+    .filter((job) => {
+      if (routeFilter && job.toolName !== routeFilter && !job.route.toLowerCase().endsWith(` ${routeFilter}`)) {
+        return false;
+      }
+      if (status && job.status?.toLowerCase() !== status.toLowerCase()) {
+        return false;
+      }
+      const recordedAt = Date.parse(job.recordedAt);
+      return (sinceTime === null || recordedAt >= sinceTime) && (untilTime === null || recordedAt <= untilTime);
+    })
+    .sort((a, b) => Date.parse(b.recordedAt) - Date.parse(a.recordedAt));
+}
+
+function parseDateFilter(value, { endOfDay = false } = {}) {
+  const trimmed = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    // Plain dates are local calendar days, matching how users talk about "yesterday".
+    const start = new Date(`${trimmed}T00:00:00`).getTime();
+    return Number.isNaN(start) ? null : endOfDay ? start + 24 * 60 * 60 * 1000 - 1 : start;
+  }
+  const parsed = Date.parse(trimmed);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function resolveStateFile(value, fileName) {
+  const configured = sanitizeEnvString(value);
+  if (configured && DISABLED_ENV_VALUES.includes(configured.toLowerCase())) {
+    return null;
+  }
+  return resolve(configured ?? join(homedir(), '.mimi-panda-mcp', fileName));
+}
+
+function formatJob(job) {
+  return [
+    `${job.toolName} ${job.key}${job.title ? ` "${job.title}"` : ''}`,
+    `status: ${job.status ?? 'unknown'} (updated ${job.updatedAt})`,
+    `created: ${job.created}`,
+    `route: ${job.route}${job.profile ? ` (profile: ${job.profile})` : ''}`,
+    job.parameters ? `parameters: ${createPreview(job.parameters)}` : null
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function formatJobList(result) {
+  if (!result.jobs.length) {
+    return 'No jobs match the filters.';
+  }
+  return [
+    `${result.total} job(s) match${result.total > result.jobs.length ? `, showing the newest ${result.jobs.length}` : ''}:`,
+    ...result.jobs.map(
+      (job) =>
+        `- ${job.recordedAt} ${job.toolName} ${job.key}: ${job.status ?? 'unknown'}${job.title ? ` "${job.title}"` : ''}`
+    )
+  ].join('\n');
+}
+
+function formatProfileList(profiles) {
+  return profiles
+    .map((entry) => {
+      const details = [
+        entry.authenticated ? `signed in (${entry.source})` : 'signed out',
+        entry.account?.email ?? null,
+        entry.account?.plan ? `plan: ${entry.account.plan}` : null,
+        entry.account?.credits !== undefined ? `credits: ${entry.account.credits}` : null
+      ].filter(Boolean);
+      return `${entry.active ? '*' : '-'} ${entry.name}: ${details.join(', ')}`;
+    })
+    .join('\n');
+}
+
+function applyAuthAction(credentials, action, profileName, body) {
+  const account = body && typeof body === 'object' ? pickAccountFields(body) : null;
+  switch (action) {
+    case 'login':
+      if (typeof body?.token === 'string' && body.token) {
+        credentials.setToken(profileName, body.token, 'login', account);
+      }
+      break;
+    case 'logout':
+      credentials.clear(profileName);
+      break;
+    case 'profile':
+      if (account) {
+        credentials.updateAccount(profileName, account);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+function stripBearerPrefix(token) {
+  return token.startsWith('Bearer ') ? token.slice('Bearer '.length) : token;
+}
+
+function pickAccountFields(body) {
+  const account = {};
+  for (const [key, field] of [['userId', 'userId'], ['id', 'userId'], ['email', 'email'], ['plan', 'plan'], ['credits', 'credits']]) {
+    if (body[key] !== undefined && body[key] !== null) {
+      account[field] = body[key];
+    }
+  }
+  return Object.keys(account).length ? account : null;
+}
+
+function redactBodyFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return body;
+  }
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, SENSITIVE_BODY_FIELDS.has(key.toLowerCase()) ? '***' : value])
+  );
+}
+
+function isFileDownload(headers, isBinary) {
+  return isBinary || /attachment|filename/i.test(headers.get('content-disposition') ?? '');
+}
+
+async function readResponseWithLimit(response, maxBytes) {
+  const declaredLength = Number.parseInt(response.headers.get('content-length') ?? '', 10);
+  if (Number.isFinite(declaredLength) && declaredLength > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      // Leaving the loop early cancels the underlying stream.
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function saveResponseToFile(response, directory, lookupPath) {
+  const targetDir = resolve(directory);
+  await mkdir(targetDir, { recursive: true });
+
+  const mimeType = (response.headers.get('content-type') ?? 'application/octet-stream').split(';')[0].trim().toLowerCase();
+  const filename = buildDownloadFilename(response.headers, mimeType, lookupPath);
+  const { path: filePath, handle } = await reserveFilePath(targetDir, filename);
+  await handle.close();
+
+  const hash = createHash('sha256');
+  let size = 0;
+  const tempPath = `${filePath}.part`;
+  try {
+    await pipeline(
+      response.body ? Readable.fromWeb(response.body) : Readable.from([]),
+      new Transform({
+        transform(chunk, _encoding, callback) {
+          hash.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      }),
+      createWriteStream(tempPath)
+    );
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await rm(tempPath, { force: true });
+    await rm(filePath, { force: true });
+    throw error;
+  }
+
+  return {
+    path: filePath,
+    filename: basename(filePath),
+    size,
+    mimeType,
+    sha256: hash.digest('hex')
+  };
+}
+
+function buildDownloadFilename(headers, mimeType, lookupPath) {
+  const fromHeader = parseContentDispositionFilename(headers.get('content-disposition'));
+  const sanitized = fromHeader ? basename(fromHeader.replace(/\\/g, '/')).replace(/[^\w.\- ]+/g, '_').trim() : '';
+  let filename = sanitized && !/^\.+$/.test(sanitized)
+    ? sanitized
+    : `${lookupPath.replace(/[^\w.-]+/g, '-')}.${DOWNLOAD_EXTENSIONS[mimeType] ?? 'bin'}`;
+
+  // Swatches exports switch between a single .swatches file and a .zip bundle depending on palette size.
+  const colorsFormat = headers.get('x-mimi-colors-format')?.trim().toLowerCase();
+  const formatExtension = COLORS_FORMAT_EXTENSIONS[colorsFormat];
+  if (formatExtension && extname(filename).toLowerCase() !== `.${formatExtension}`) {
+    filename = `${filename.slice(0, filename.length - extname(filename).length) || filename}.${formatExtension}`;
+  }
+  return filename;
+}
+
+async function reserveFilePath(directory, filename) {
+  const extension = extname(filename);
+  const stem = filename.slice(0, filename.length - extension.length);
+  for (let attempt = 0; attempt < 1000; attempt += 1) {
+    const candidate = join(directory, attempt ? `${stem}-${attempt}${extension}` : filename);
+    try {
+      // 'wx' fails when the file exists, so concurrent downloads never overwrite each other.
+      return { path: candidate, handle: await open(candidate, 'wx') };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+  }
+  throw new Error(`Could not find a free filename for ${filename} in ${directory}.`);
+}
+
+async function waitForItem(
+  {
+    uuid,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    backoffFactor = DEFAULT_POLL_BACKOFF_FACTOR,
+    maxIntervalMs = MAX_POLL_INTERVAL_MS,
+    deadlineMs = DEFAULT_WAIT_DEADLINE_MS,
+    token,
+    profile
+  },
+  extra = {},
+  session
+) {
+  const startedAt = Date.now();
+  const deadline = startedAt + deadlineMs;
+  const progressToken = extra._meta?.progressToken;
+  let delay = intervalMs;
+  let attempts = 0;
+  let status = null;
+  let item = null;
+  let lastError = null;
+
+  const finish = (outcome, error = null) => ({
+    uuid,
+    outcome,
+    status,
+    attempts,
+    elapsedMs: Date.now() - startedAt,
+    item,
+    error
+  });
+
+  while (true) {
+    if (extra.signal?.aborted) {
+      return finish('failed', 'Cancelled by client.');
+    }
+
+    attempts += 1;
+    const remaining = deadline - Date.now();
+    let result;
+    try {
+      result = await callApi({
+        method: 'GET',
+        path: itemApiPath(uuid),
+        token,
+        profile,
+        timeoutMs: Math.min(CONFIG.timeoutMs, Math.max(1000, remaining)),
+        // Polling already backs off on transient failures.
+        maxRetries: 0
+      }, session);
+      lastError = null;
+    } catch (error) {
+      // Network errors and timeouts are treated as transient until the deadline; anything else will fail again.
+      if (!isTransientRequestError(error)) {
+        return finish('failed', error instanceof Error ? error.message : String(error));
+      }
+      lastError = error.message;
+    }
+
+    if (result) {
+      const { response } = result;
+      if (response.ok && response.body && typeof response.body === 'object') {
+        item = response.body;
+        status = typeof item.status === 'string' ? item.status : null;
+        const normalizedStatus = status?.toLowerCase();
+        if (ITEM_READY_STATUSES.includes(normalizedStatus)) {
+          return finish('ready');
+        }
+        if (ITEM_FAILED_STATUSES.includes(normalizedStatus)) {
+          return finish('failed', `Item finished with status "${status}".`);
+        }
+      } else if (response.status === 429 || response.status >= 500) {
+        lastError = `${response.status} ${response.statusText}`;
+      } else {
+        return finish(
+          'failed',
+          `service/item/${uuid} returned ${response.status} ${response.statusText}${
+            response.body?.message ? `: ${response.body.message}` : ''
+          }`
+        );
+      }
+    }
+
+    if (progressToken !== undefined && extra.sendNotification) {
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress: attempts,
+          message: lastError ? `Poll ${attempts} failed: ${lastError}` : `Status: ${status ?? 'unknown'}`
+        }
+      });
+    }
+
+    const wait = Math.min(delay, deadline - Date.now());
+    if (wait <= 0) {
+      return finish('timeout', lastError);
+    }
+    await sleep(wait, extra.signal);
+    delay = Math.min(maxIntervalMs, Math.round(delay * backoffFactor));
+  }
+}
+
+function formatWaitSummary(result) {
+  const seconds = (result.elapsedMs / 1000).toFixed(1);
+  const lines = [
+    `Item ${result.uuid}: ${result.outcome} (status: ${result.status ?? 'unknown'}, ${result.attempts} polls, ${seconds}s)`
+  ];
+  if (result.error) {
+    lines.push(`Error: ${result.error}`);
+  }
+  if (result.outcome === 'timeout') {
+    lines.push('The item is still processing; call wait_for_item again to keep waiting.');
+  }
+  if (result.item) {
+    lines.push(`Item: ${createPreview(result.item)}`);
+  }
+  return lines.join('\n');
+}
+
+async function buildPbnKit(args, extra, session) {
+  const {
+    imageFormats = DEFAULT_KIT_IMAGE_FORMATS,
+    paletteFormats = DEFAULT_KIT_PALETTE_FORMATS,
+    outputDir,
+    kitName,
+    intervalMs,
+    deadlineMs,
+    ...pbnArgs
+  } = args;
+  const baseDir = outputDir ?? CONFIG.downloadDir;
+  if (!baseDir) {
+    throw new Error('Pass outputDir or set MCP_DOWNLOAD_DIR to choose where the kit folder is written.');
+  }
+  const { token, profile, timeoutMs, maxRetries } = pbnArgs;
+
+  const creation = await callApi(buildRouteToolRequest(PBN_ROUTE, pbnArgs), session);
+  const key = creation.response.body?.key;
+  if (!creation.response.ok || typeof key !== 'string') {
+    throw new Error(`Creating the PBN item failed.\n${formatCallSummary(creation)}`);
+  }
+
+  const waited = await waitForItem({ uuid: key, intervalMs, deadlineMs, token, profile }, extra, session);
+  const kit = {
+    key,
+    outcome: waited.outcome,
+    status: waited.status,
+    kitDir: null,
+    manifestPath: null,
+    files: [],
+    failures: [],
+    error: waited.error
+  };
+  if (waited.outcome !== 'ready') {
+    return { kit, creation };
+  }
+
+  const kitDir = resolve(baseDir, sanitizeFileStem(kitName ?? `pbn-kit-${key}`, 'pbn-kit'));
+  await mkdir(kitDir, { recursive: true });
+
+  const downloads = [
+    ...[...new Set(imageFormats)].map((type) => ({
+      kind: 'image',
+      type,
+      path: itemApiPath(key, 'pbn', 'download', type)
+    })),
+    ...[...new Set(paletteFormats)].map((type) => ({
+      kind: 'palette',
+      type,
+      path: itemApiPath(key, 'pbn', 'colors', type)
+    }))
+  ];
+  const progressToken = extra._meta?.progressToken;
+  let completed = 0;
+
+  const outcomes = await Promise.all(
+    downloads.map(async ({ kind, type, path }) => {
+      let outcome;
+      try {
+        const { response } = await callApi(
+          { method: 'GET', path, token, profile, timeoutMs, maxRetries, outputDir: kitDir },
+          session
+        );
+        outcome = response.savedFile
+          ? { file: { kind, type, ...response.savedFile } }
+          : {
+              failure: {
+                kind,
+                type,
+                status: response.status,
+                error: response.ok
+                  ? 'The response was not a file.'
+                  : `${response.status} ${response.body?.message ?? response.statusText}`
+              }
+            };
+      } catch (error) {
+        outcome = {
+          failure: { kind, type, status: null, error: error instanceof Error ? error.message : String(error) }
+        };
+      }
+
+      completed += 1;
+      if (progressToken !== undefined && extra.sendNotification) {
+        await extra.sendNotification({
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress: waited.attempts + completed,
+            total: waited.attempts + downloads.length,
+            message: `${outcome.file ? 'Downloaded' : 'Failed to download'} ${kind} ${type} (${completed}/${downloads.length})`
+          }
+        });
+      }
+      return outcome;
+    })
+  );
+
+  kit.kitDir = kitDir;
+  kit.files = outcomes.filter((entry) => entry.file).map((entry) => entry.file);
+  kit.failures = outcomes.filter((entry) => entry.failure).map((entry) => entry.failure);
+
+  const item = waited.item ?? {};
+  const manifest = {
+    key,
+    title: item.title ?? null,
+    createdAt: new Date().toISOString(),
+    source: buildUrl(itemApiPath(key)).toString(),
+    parameters: {
+      requested: creation.request.body,
+      uploads: creation.request.uploads,
+      applied: item.parameters ?? null
+    },
+    palette: item.colors ?? null,
+    files: kit.files.map(({ path, ...file }) => ({ ...file, path: relative(kitDir, path) })),
+    failures: kit.failures
+  };
+  kit.manifestPath = join(kitDir, KIT_MANIFEST_FILENAME);
+  await writeFile(kit.manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+  return { kit, creation };
+}
+
+async function runBatch(
+  {
+    tool,
+    items,
+    defaults = {},
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    wait = true,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    deadlineMs = DEFAULT_WAIT_DEADLINE_MS,
+    token,
+    profile,
+    timeoutMs,
+    maxRetries,
+    retryUnsafe
+  },
+  extra = {},
+  session
+) {
+  const route = API_ROUTES.find((entry) => entry.createsItem && getRouteToolName(entry) === tool);
+  const startedAt = Date.now();
+  const deadline = startedAt + deadlineMs;
+  const progressToken = extra._meta?.progressToken;
+  const rows = items.map((_input, index) => ({
+    index,
+    key: null,
+    outcome: 'pending',
+    status: null,
+    outputs: [],
+    error: null
+  }));
+  let progress = 0;
+
+  const reportProgress = async (message) => {
+    if (progressToken === undefined || !extra.sendNotification) {
+      return;
+    }
+    progress += 1;
+    await extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, message }
+    });
+  };
+
+  await mapWithConcurrency(items, concurrency, async (input, index) => {
+    const row = rows[index];
+    try {
+      const result = await callApi(
+        buildRouteToolRequest(route, { ...defaults, ...input, token, profile, timeoutMs, maxRetries, retryUnsafe }),
+        session
+      );
+      const { response } = result;
+      if (response.ok && typeof response.body?.key === 'string') {
+        row.key = response.body.key;
+        row.status = typeof response.body.status === 'string' ? response.body.status : null;
+      } else {
+        row.outcome = 'rejected';
+        row.error = `${response.status} ${response.body?.message ?? response.statusText}`;
+      }
+    } catch (error) {
+      row.outcome = 'rejected';
+      row.error =
+        error instanceof RequestValidationError
+          ? [error.message, ...error.issues.map((issue) => `${issue.location}${issue.field ? `.${issue.field}` : ''}: ${issue.message}`)].join(' ')
+          : error instanceof Error
+            ? error.message
+            : String(error);
+    }
+    await reportProgress(`Item ${index}: ${row.outcome === 'rejected' ? `rejected (${row.error})` : `submitted as ${row.key}`}`);
+  });
+
+  let delay = intervalMs;
+  while (wait && !extra.signal?.aborted) {
+    const tracked = rows.filter((row) => row.key && row.outcome === 'pending');
+    if (!tracked.length) {
+      break;
+    }
+    await mapWithConcurrency(tracked, concurrency, (row) => refreshBatchRow(row, { token, profile, timeoutMs }, session));
+    const finished = rows.filter((row) => row.outcome !== 'pending').length;
+    await reportProgress(`${finished}/${rows.length} items finished`);
+
+    const remaining = deadline - Date.now();
+    if (finished === rows.length || remaining <= 0) {
+      break;
+    }
+    await sleep(Math.min(delay, remaining), extra.signal);
+    delay = Math.min(MAX_POLL_INTERVAL_MS, Math.round(delay * DEFAULT_POLL_BACKOFF_FACTOR));
+  }
+
+  const count = (outcome) => rows.filter((row) => row.outcome === outcome).length;
+  return {
+    tool,
+    total: rows.length,
+    submitted: rows.filter((row) => row.key).length,
+    ready: count('ready'),
+    failed: count('failed'),
+    pending: count('pending'),
+    rejected: count('rejected'),
+    elapsedMs: Date.now() - startedAt,
+    items: rows
+  };
+}
+
+async function refreshBatchRow(row, { token, profile, timeoutMs }, session) {
+  let response;
+  try {
+    ({ response } = await callApi(
+      // Polling already repeats on transient failures.
+      { method: 'GET', path: itemApiPath(row.key), token, profile, timeoutMs, maxRetries: 0 },
+      session
+    ));
+  } catch (error) {
+    row.error = error instanceof Error ? error.message : String(error);
+    if (!isTransientRequestError(error)) {
+      row.outcome = 'failed';
+    }
+    return;
+  }
+
+  if (response.ok && response.body && typeof response.body === 'object') {
+    row.status = typeof response.body.status === 'string' ? response.body.status : null;
+    row.error = null;
+    const normalizedStatus = row.status?.toLowerCase();
+    if (ITEM_READY_STATUSES.includes(normalizedStatus)) {
+      row.outcome = 'ready';
+      row.outputs = collectItemImageUrls(response.body.images);
+    } else if (ITEM_FAILED_STATUSES.includes(normalizedStatus)) {
+      row.outcome = 'failed';
+      row.error = `Item finished with status "${row.status}".`;
+    }
+  } else if (response.status === 429 || response.status >= 500) {
+    row.error = `${response.status} ${response.statusText}`;
+  } else {
+    row.outcome = 'failed';
+    row.error = `${response.status} ${response.body?.message ?? response.statusText}`;
+  }
+}
+
+async function planPaintRecipes(
+  {
+    uuid,
+    palette,
+    paletteFile,
+    breakdown = 'secondary',
+    totalVolumeMl,
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    outputDir,
+    exportFormats = RECIPE_EXPORT_FORMATS,
+    filename,
+    token,
+    profile
+  },
+  extra = {},
+  session
+) {
+  if ([uuid, palette, paletteFile].filter((value) => value !== undefined).length !== 1) {
+    throw new Error('Provide exactly one of uuid, palette, or paletteFile.');
+  }
+
+  let paletteName = null;
+  let colors;
+  let areas = null;
+  if (uuid !== undefined) {
+    const downloaded = await loadPaletteSource({ uuid, type: 'csv', token, profile }, session);
+    paletteName = downloaded.name;
+    colors = downloaded.colors.slice(0, MAX_PALETTE_COLORS);
+    const item = await callApi({ method: 'GET', path: itemApiPath(uuid), token, profile }, session);
+    areas = item.response.ok ? extractColorAreas(item.response.body?.colors, colors) : null;
+  } else if (palette !== undefined) {
+    colors = await resolvePalette({ palette });
+  } else {
+    const loaded = await readPaletteFile(paletteFile);
+    paletteName = loaded.name;
+    colors = loaded.colors.slice(0, MAX_PALETTE_COLORS);
+  }
+  if (!colors.length) {
+    throw new Error('The palette has no colors.');
+  }
+
+  const progressToken = extra._meta?.progressToken;
+  let progress = 0;
+  const recipes = await mapWithConcurrency(colors, concurrency, async (color, index) => {
+    const recipe = {
+      code: color.code,
+      name: color.name,
+      hex: color.hex,
+      areaShare: areas ? roundTo(areas[index], 4) : null,
+      volumeMl: null,
+      pigments: [],
+      error: null
+    };
+    try {
+      const result = await callApi({ method: 'POST', path: 'service/color/unmix', body: { hex: color.hex }, token, profile }, session);
+      const mix = result.response.body?.[breakdown === 'primary' ? 'unmix_primary' : 'unmix'];
+      if (!result.response.ok || !mix || typeof mix !== 'object') {
+        throw new Error(`${result.response.status} ${result.response.body?.message ?? result.response.statusText}`);
+      }
+      recipe.pigments = Object.entries(mix)
+        .filter(([, proportion]) => typeof proportion === 'number' && proportion > 0)
+        .sort(([, left], [, right]) => right - left)
+        .map(([pigment, proportion]) => ({ pigment, proportion: roundTo(proportion, 4), volumeMl: null }));
+    } catch (error) {
+      recipe.error = error instanceof Error ? error.message : String(error);
+    }
+    if (progressToken !== undefined && extra.sendNotification) {
+      progress += 1;
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total: colors.length, message: `Unmixed ${formatColorLabel(color)}` }
+      });
+    }
+    return recipe;
+  });
+
+  if (totalVolumeMl !== undefined) {
+    recipes.forEach((recipe, index) => {
+      recipe.volumeMl = roundTo(totalVolumeMl * (areas ? areas[index] : 1 / recipes.length), 1);
+      recipe.pigments.forEach((entry) => {
+        entry.volumeMl = roundTo(recipe.volumeMl * entry.proportion, 1);
+      });
+    });
+  }
+
+  const totals = new Map();
+  for (const recipe of recipes) {
+    for (const entry of recipe.pigments) {
+      const total = totals.get(entry.pigment) ?? { pigment: entry.pigment, colorCount: 0, volumeMl: null };
+      total.colorCount += 1;
+      if (entry.volumeMl !== null) {
+        total.volumeMl = roundTo((total.volumeMl ?? 0) + entry.volumeMl, 1);
+      }
+      totals.set(entry.pigment, total);
+    }
+  }
+
+  const result = {
+    uuid: uuid ?? null,
+    paletteName,
+    breakdown,
+    areasFromBackend: Boolean(areas),
+    totalVolumeMl: totalVolumeMl ?? null,
+    recipes,
+    pigmentTotals: [...totals.values()].sort((left, right) => right.colorCount - left.colorCount || (right.volumeMl ?? 0) - (left.volumeMl ?? 0)),
+    failed: recipes.filter((recipe) => recipe.error).length,
+    files: []
+  };
+
+  const baseDir = outputDir ?? CONFIG.downloadDir;
+  if (baseDir) {
+    const targetDir = resolve(baseDir);
+    await mkdir(targetDir, { recursive: true });
+    const stem = sanitizeFileStem(filename ?? `${paletteName ?? (uuid ? `pbn-${uuid}` : 'palette')} recipes`, 'recipes');
+    const sheets = { csv: buildRecipeCsv(result), markdown: formatRecipeSheet(result) };
+    for (const format of new Set(exportFormats)) {
+      const buffer = Buffer.from(sheets[format], 'utf8');
+      const { path: filePath, handle } = await reserveFilePath(targetDir, `${stem}.${format === 'csv' ? 'csv' : 'md'}`);
+      try {
+        await handle.writeFile(buffer);
+      } finally {
+        await handle.close();
+      }
+      result.files.push({
+        path: filePath,
+        filename: basename(filePath),
+        size: buffer.length,
+        mimeType: format === 'csv' ? 'text/csv' : 'text/markdown',
+        sha256: createHash('sha256').update(buffer).digest('hex')
+      });
+    }
+  }
+  return result;
+}
+
+function extractColorAreas(itemColors, colors) {
+  const entries = Array.isArray(itemColors)
+    ? itemColors
+    : itemColors && typeof itemColors === 'object'
+      ? Object.entries(itemColors).map(([key, value]) => (value && typeof value === 'object' ? { key, ...value } : { key, area: value }))
+      : [];
+  const byHex = new Map();
+  const byCode = new Map();
+  for (const entry of entries) {
+    const field = ITEM_COLOR_AREA_FIELDS.find((name) => typeof entry?.[name] === 'number' && entry[name] >= 0);
+    if (!field) {
+      continue;
+    }
+    const hex = [entry.hex, entry.color, entry.key].find((value) => typeof value === 'string' && HEX_COLOR_PATTERN.test(value.trim()));
+    if (hex) {
+      byHex.set(hex.trim().replace(/^#/, '').toLowerCase(), entry[field]);
+    }
+    const code = entry.code ?? entry.number ?? entry.index ?? entry.key;
+    if (code !== undefined) {
+      byCode.set(String(code), entry[field]);
+    }
+  }
+
+  const raw = colors.map((color) => byHex.get(color.hex) ?? (color.code ? byCode.get(color.code) : undefined));
+  const total = raw.reduce((sum, value) => sum + (value ?? 0), 0);
+  // Only trust the areas when every palette color has one; a partial match would skew the volumes.
+  return raw.every((value) => value !== undefined) && total > 0 ? raw.map((value) => value / total) : null;
+}
+
+function buildRecipeCsv(result) {
+  const pigments = result.pigmentTotals.map((total) => total.pigment);
+  const withVolumes = result.totalVolumeMl !== null;
+  const header = [
+    'Code',
+    'Name',
+    'Hex',
+    'Area %',
+    ...(withVolumes ? ['Volume ml'] : []),
+    ...pigments.map((pigment) => `${pigment} %`),
+    ...(withVolumes ? pigments.map((pigment) => `${pigment} ml`) : []),
+    'Error'
+  ];
+  const rows = result.recipes.map((recipe) => {
+    const amounts = new Map(recipe.pigments.map((entry) => [entry.pigment, entry]));
+    return [
+      recipe.code ?? '',
+      recipe.name ?? '',
+      `#${recipe.hex.toUpperCase()}`,
+      recipe.areaShare === null ? '' : roundTo(recipe.areaShare * 100, 2),
+      ...(withVolumes ? [recipe.volumeMl ?? ''] : []),
+      ...pigments.map((pigment) => (amounts.has(pigment) ? roundTo(amounts.get(pigment).proportion * 100, 1) : '')),
+      ...(withVolumes ? pigments.map((pigment) => amounts.get(pigment)?.volumeMl ?? '') : []),
+      recipe.error ?? ''
+    ];
+  });
+  return `${[header, ...rows].map((row) => row.map(formatCsvCell).join(',')).join('\n')}\n`;
+}
+
+function formatRecipeSheet(result) {
+  const escapeCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const withVolumes = result.totalVolumeMl !== null;
+  const title = result.paletteName ?? (result.uuid ? `PBN ${result.uuid}` : 'Palette');
+  const lines = [
+    `# Paint recipes: ${title}`,
+    '',
+    `${result.recipes.length} colors, ${result.breakdown} pigments${result.failed ? `, ${result.failed} failed` : ''}.${
+      withVolumes
+        ? ` ${result.totalVolumeMl} ml in total, split ${result.areasFromBackend ? 'by painted area' : 'equally (no area data)'}.`
+        : ''
+    }`,
+    '',
+    `| Color | Hex |${withVolumes ? ' Volume |' : ''} Recipe |`,
+    `| --- | --- |${withVolumes ? ' --- |' : ''} --- |`,
+    ...result.recipes.map((recipe) => {
+      const recipeText = recipe.error
+        ? `Error: ${recipe.error}`
+        : recipe.pigments
+            .map(
+              (entry) =>
+                `${roundTo(entry.proportion * 100, 1)}% ${entry.pigment}${entry.volumeMl !== null ? ` (${entry.volumeMl} ml)` : ''}`
+            )
+            .join(' + ');
+      const cells = [
+        formatColorName(recipe) || '-',
+        `#${recipe.hex}`,
+        ...(withVolumes ? [recipe.volumeMl === null ? '-' : `${recipe.volumeMl} ml`] : []),
+        recipeText
+      ];
+      return `| ${cells.map(escapeCell).join(' | ')} |`;
+    }),
+    '',
+    '## Pigments needed',
+    '',
+    `| Pigment | Used in |${withVolumes ? ' Total |' : ''}`,
+    `| --- | --- |${withVolumes ? ' --- |' : ''}`,
+    ...result.pigmentTotals.map(
+      (total) =>
+        `| ${escapeCell(total.pigment)} | ${total.colorCount} colors |${withVolumes ? ` ${total.volumeMl ?? 0} ml |` : ''}`
+    )
+  ];
+  if (result.files.length) {
+    lines.push('', ...result.files.map((file) => `Saved ${file.path}`));
+  }
+  return lines.join('\n');
+}
+
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+function formatBatchSummary(result) {
+  const seconds = (result.elapsedMs / 1000).toFixed(1);
+  const escapeCell = (value) => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [
+    `${result.tool} batch: ${result.ready} ready, ${result.pending} pending, ${result.failed} failed, ${result.rejected} rejected of ${result.total} (${seconds}s)`,
+    '',
+    '| # | Key | Status | Outputs | Error |',
+    '| --- | --- | --- | --- | --- |',
+    ...result.items.map((row) => {
+      const cells = [
+        row.index,
+        row.key ?? '-',
+        row.status ?? row.outcome,
+        row.outputs.length ? row.outputs.join('<br>') : '-',
+        row.error ?? ''
+      ];
+      return `| ${cells.map(escapeCell).join(' | ')} |`;
+    })
+  ];
+  if (result.pending) {
+    lines.push('', 'Pending items are still processing; call wait_for_item with their keys to follow up.');
+  }
+  return lines.join('\n');
+}
+
+function sanitizeFileStem(name, fallback) {
+  const sanitized = name.replace(/[^\w.\- ]+/g, '_').trim();
+  return sanitized && !/^\.+$/.test(sanitized) ? sanitized : fallback;
+}
+
+function formatKitSummary({ kit }) {
+  if (kit.outcome !== 'ready') {
+    return [
+      `PBN item ${kit.key}: ${kit.outcome} (status: ${kit.status ?? 'unknown'})`,
+      kit.error ? `Error: ${kit.error}` : null,
+      kit.outcome === 'timeout'
+        ? 'The item is still processing; call wait_for_item, then download_pbn and download_pbn_colors, to finish the kit.'
+        : null
+    ]
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  return [
+    `PBN kit for ${kit.key} written to ${kit.kitDir}`,
+    ...kit.files.map((file) => `- ${file.kind} ${file.type}: ${file.filename} (${formatBytes(file.size)})`),
+    ...kit.failures.map((failure) => `- ${failure.kind} ${failure.type}: FAILED (${failure.error})`),
+    `Manifest: ${kit.manifestPath}`
+  ].join('\n');
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+class CreditGuardError extends Error {
+  constructor(message, { route = null, cost = 0 } = {}) {
+    super(message);
+    this.name = 'CreditGuardError';
+    this.route = route;
+    this.cost = cost;
+  }
+}
+
+class RequestBlockedError extends Error {
+  constructor(message, { reason = null } = {}) {
+    super(message);
+    this.name = 'RequestBlockedError';
+    this.reason = reason;
+  }
+}
+
+class RequestValidationError extends Error {
+  constructor(message, { route = null, issues = [] } = {}) {
+    super(message);
+    this.name = 'RequestValidationError';
+    this.route = route;
+    this.issues = issues;
+  }
+}
+
+function compileRoutePattern(routePath) {
+  const paramNames = [];
+  const source = routePath
+    .split('/')
+    .map((segment) => {
+      const param = segment.match(/^\{([^}]+)\}$/);
+      if (param) {
+        paramNames.push(param[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), paramNames };
+}
+
+function toRouteLookupPath(path) {
+  return normalizeRelativePath(path)
+    .split(/[?#]/)[0]
+    .replace(/^\/+|\/+$/g, '');
+}
+
+function matchApiRoute(method, path) {
+  const lookupPath = toRouteLookupPath(path);
+  const candidates = [];
+  for (const matcher of API_ROUTE_MATCHERS) {
+    const match = lookupPath.match(matcher.regex);
+    if (!match) {
+      continue;
+    }
+    const params = Object.fromEntries(
+      matcher.paramNames.map((name, index) => [name, safeDecodeURIComponent(match[index + 1])])
+    );
+    candidates.push({ route: matcher.route, params });
+  }
+
+  const matched = candidates.find((candidate) => candidate.route.method === method);
+  return {
+    lookupPath,
+    route: matched?.route ?? null,
+    params: matched?.params ?? {},
+    allowedMethods: candidates.map((candidate) => candidate.route.method)
+  };
+}
+
+function guardRequestTarget(method, path, headers, routeMatch) {
+  const reason = findBlockedReason(method, path, headers, routeMatch);
+  if (!reason) {
+    return;
+  }
+  console.error(`[${SERVER_INFO.name}] Blocked ${method} ${path}: ${reason}`);
+  throw new RequestBlockedError(`Blocked ${method} ${path}: ${reason}`, { reason });
+}
+
+function findBlockedReason(method, path, headers, routeMatch) {
+  const blockedHeader = Object.keys(headers ?? {}).find((name) => BLOCKED_REQUEST_HEADERS.has(name.toLowerCase()));
+  if (blockedHeader) {
+    return `the ${blockedHeader} header cannot be set through headers. Use token or profile for credentials.`;
+  }
+  if (/^[a-z][a-z\d+.-]*:/i.test(path) || /^[\\/]{2}/.test(path) || path.includes('\\')) {
+    return 'the path must be relative to the API prefix, not a URL or another host.';
+  }
+  // Decoded first, so %2e%2e and %2f cannot smuggle a traversal past the check.
+  const segments = path
+    .split(/[?#]/)[0]
+    .split('/')
+    .flatMap((segment) => safeDecodeURIComponent(segment).split(/[\\/]/));
+  if (segments.some((segment) => segment === '..' || segment === '.')) {
+    return 'the path contains "." or ".." segments.';
+  }
+  const url = buildUrl(path);
+  if (url.origin !== new URL(CONFIG.baseUrl).origin) {
+    return 'the path changes the host.';
+  }
+  if (CONFIG.apiPrefix !== '/' && url.pathname !== CONFIG.apiPrefix && !url.pathname.startsWith(`${CONFIG.apiPrefix}/`)) {
+    return `the path leaves the API prefix ${CONFIG.apiPrefix}.`;
+  }
+  if (CONFIG.strictMode && !routeMatch.route && !isAllowedPath(method, routeMatch.lookupPath)) {
+    return 'strict mode only allows routes declared in API_ROUTES or matching MCP_ALLOWED_PATHS.';
+  }
+  return null;
+}
+
+function isAllowedPath(method, lookupPath) {
+  return CONFIG.allowedPaths.some((entry) => (!entry.method || entry.method === method) && entry.regex.test(lookupPath));
+}
+
+function validateRouteInput(method, path, routeMatch, { query, body, files }) {
+  const { route, params, lookupPath, allowedMethods } = routeMatch;
+
+  if (!route) {
+    const reason = allowedMethods.length
+      ? `/${lookupPath} does not accept ${method}; declared methods: ${allowedMethods.join(', ')}.`
+      : `No API route matches ${method} /${lookupPath}.`;
+    throw new RequestValidationError(
+      `${reason} Call list_api_routes to inspect declared routes, or set skipValidation=true to send the request anyway.`
+    );
+  }
+
+  if (!route.inputSchema) {
+    return;
+  }
+
+  const input = {};
+  const locations = {};
+  const assign = (source, location) => {
+    for (const [key, value] of Object.entries(source)) {
+      input[key] = value;
+      locations[key] = location;
+    }
+  };
+  const issues = [];
+
+  // Query strings and path segments are text on the wire, so "800" satisfies a number field there.
+  if (query) {
+    assign(coerceQueryValues(route.inputSchema, query), 'query');
+  }
+
+  if (body !== undefined) {
+    const payload = typeof body === 'string' ? tryParseJson(body) ?? body : body;
+    if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+      assign(payload, 'body');
+    } else {
+      issues.push({
+        field: null,
+        location: 'body',
+        code: 'invalid_type',
+        message: 'Expected a JSON object body.'
+      });
+    }
+  }
+
+  if (files) {
+    for (const field of Object.keys(files)) {
+      if (!route.uploadFields?.includes(field)) {
+        issues.push({
+          field,
+          location: 'files',
+          code: 'invalid_upload_field',
+          message: route.uploadFields?.length
+            ? `Field does not accept file uploads. Upload fields for this route: ${route.uploadFields.join(', ')}.`
+            : 'This route does not accept file uploads.'
+        });
+      }
+    }
+    // Uploaded files satisfy the string image fields declared in the route schema.
+    assign(
+      Object.fromEntries(Object.keys(files).map((field) => [field, `upload:${field}`])),
+      'files'
+    );
+  }
+
+  assign(coerceQueryValues(route.inputSchema, params), 'path');
+
+  const result = route.inputSchema.safeParse(input);
+  if (!result.success) {
+    for (const issue of result.error.issues) {
+      const field = issue.path.length ? issue.path.join('.') : null;
+      issues.push({
+        field,
+        location: locations[issue.path[0]] ?? (method === 'GET' ? 'query' : 'body'),
+        code: issue.code,
+        message: issue.message
+      });
+    }
+  }
+
+  if (issues.length) {
+    throw new RequestValidationError(
+      `Request does not match the ${route.method} /${route.path} input schema.`,
+      { route: `${route.method} ${route.path}`, issues }
+    );
+  }
+}
+
+function coerceQueryValues(schema, values) {
+  const shape = unwrapObjectSchema(schema)?.shape ?? {};
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, shape[key] ? coerceQueryValue(shape[key], value) : value])
+  );
+}
+
+function coerceQueryValue(schema, value) {
+  let current = schema;
+  while (
+    current instanceof z.ZodOptional ||
+    current instanceof z.ZodNullable ||
+    current instanceof z.ZodDefault ||
+    current instanceof z.ZodEffects
+  ) {
+    current = current instanceof z.ZodEffects ? current._def.schema : current._def.innerType;
+  }
+  if (Array.isArray(value)) {
+    return current instanceof z.ZodArray ? value.map((entry) => coerceQueryValue(current.element, entry)) : value;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  if (current instanceof z.ZodNumber && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (current instanceof z.ZodBoolean && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+  return value;
+}
+
+function createValidationErrorResult(error) {
+  const lines = [
+    error.message,
+    ...error.issues.map(
+      (issue) => `- ${issue.location}${issue.field ? `.${issue.field}` : ''}: ${issue.message}`
+    )
+  ];
+  const content = [{ type: 'text', text: lines.join('\n') }];
+  if (error.issues.length) {
+    content.push({
+      type: 'text',
+      text: JSON.stringify({ route: error.route, errors: error.issues }, null, 2)
+    });
+  }
+  return { content, isError: true };
+}
+
+async function loadUploadFile(field, file, route) {
+  const maxDimension = route?.maxUploadDimension ?? MAX_UPLOAD_DIMENSION;
+  let buffer;
+  let filename = file.filename;
+
+  if (file.path) {
+    let stats;
+    try {
+      stats = await stat(file.path);
+    } catch (error) {
+      throw new Error(`Upload "${field}": cannot read ${file.path} (${error.code ?? error.message}).`);
+    }
+    if (!stats.isFile()) {
+      throw new Error(`Upload "${field}": ${file.path} is not a file.`);
+    }
+    if (stats.size > MAX_UPLOAD_BYTES) {
+      throw new Error(`Upload "${field}": file is ${formatBytes(stats.size)}; maximum size is ${formatBytes(MAX_UPLOAD_BYTES)}.`);
+    }
+    buffer = await readFile(file.path);
+    filename ??= basename(file.path);
+  } else {
+    const payload = file.base64.replace(/^data:[^;,]*;base64,/i, '').replace(/\s+/g, '');
+    if (Math.floor((payload.length * 3) / 4) > MAX_UPLOAD_BYTES + 2) {
+      throw new Error(`Upload "${field}": payload exceeds the maximum size of ${formatBytes(MAX_UPLOAD_BYTES)}.`);
+    }
+    buffer = Buffer.from(payload, 'base64');
+  }
+
+  if (!buffer.length) {
+    throw new Error(`Upload "${field}": file is empty.`);
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    throw new Error(`Upload "${field}": file is ${formatBytes(buffer.length)}; maximum size is ${formatBytes(MAX_UPLOAD_BYTES)}.`);
+  }
+
+  const mimeType = detectImageMimeType(buffer);
+  if (!mimeType) {
+    throw new Error(`Upload "${field}": unsupported file format. Accepted formats: jpg, jpeg, png, webp, heic, heif.`);
+  }
+
+  const dimensions = readImageDimensions(buffer, mimeType);
+  // HEIC/HEIF containers do not always expose an ispe box; leave those to the backend.
+  if (!dimensions && mimeType !== 'image/heic' && mimeType !== 'image/heif') {
+    throw new Error(`Upload "${field}": could not read image dimensions; the file may be corrupt.`);
+  }
+  if (dimensions && (dimensions.width > maxDimension || dimensions.height > maxDimension)) {
+    throw new Error(
+      `Upload "${field}": image is ${dimensions.width}x${dimensions.height}px; maximum dimensions are ${maxDimension}x${maxDimension}px${route ? ` for ${route.path}` : ''}.`
+    );
+  }
+
+  return {
+    field,
+    filename: filename ?? `upload.${UPLOAD_IMAGE_TYPES[mimeType]}`,
+    mimeType,
+    size: buffer.length,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    buffer
+  };
+}
+
+function describeSerializedBody(serializedBody) {
+  if (serializedBody === null) {
+    return null;
+  }
+  if (serializedBody instanceof FormData) {
+    // The boundary is generated by fetch, so a dry run lists the parts instead of the raw encoding.
+    return [...serializedBody.entries()]
+      .map(([key, value]) =>
+        value instanceof Blob
+          ? `${key}: ${value.name} (${value.type || 'application/octet-stream'}, ${formatBytes(value.size)})`
+          : `${key}: ${SENSITIVE_BODY_FIELDS.has(key.toLowerCase()) ? '***' : value}`
+      )
+      .join('\n');
+  }
+  const parsed = tryParseJson(serializedBody);
+  return parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+    ? JSON.stringify(redactBodyFields(parsed))
+    : serializedBody;
+}
+
+function buildMultipartBody(body, uploads) {
+  const form = new FormData();
+  const payload = typeof body === 'string' ? tryParseJson(body) : body;
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    for (const [key, value] of Object.entries(payload)) {
+      if (value === undefined || value === null || uploads.some((upload) => upload.field === key)) {
+        continue;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((entry) => form.append(`${key}[]`, toFormValue(entry)));
+      } else {
+        form.append(key, toFormValue(value));
+      }
+    }
+  } else if (body !== undefined) {
+    throw new Error('Multipart requests require body to be a JSON object of form fields.');
+  }
+
+  for (const upload of uploads) {
+    form.append(upload.field, new Blob([upload.buffer], { type: upload.mimeType }), upload.filename);
+  }
+  return form;
+}
+
+function toFormValue(value) {
+  if (value && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return normalizeQueryValue(value);
+}
+
+function detectImageMimeType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) {
+      return 'image/heic';
+    }
+    if (['mif1', 'msf1', 'heif'].includes(brand)) {
+      return 'image/heif';
+    }
+  }
+  return null;
+}
+
+function readImageDimensions(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/jpeg':
+        return readJpegDimensions(buffer);
+      case 'image/webp':
+        return readWebpDimensions(buffer);
+      case 'image/heic':
+      case 'image/heif':
+        return readHeifDimensions(buffer);
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    // SOF0–SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not.
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+function readHeifDimensions(buffer) {
+  // The primary image is the largest ispe (image spatial extents) property; smaller ones are thumbnails.
+  let best = null;
+  let index = buffer.indexOf('ispe');
+  while (index !== -1 && index + 16 <= buffer.length) {
+    const width = buffer.readUInt32BE(index + 8);
+    const height = buffer.readUInt32BE(index + 12);
+    if (!best || width * height > best.width * best.height) {
+      best = { width, height };
+    }
+    index = buffer.indexOf('ispe', index + 4);
+  }
+  return best;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+  }
+  return `${bytes}B`;
+}
+
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function formatCallSummary(result) {
+  const { request, response } = result;
+  const preview = createPreview(response.body ?? response.rawText);
+  const { savedFile } = response;
+  return [
+    `${request.method} ${request.path}`,
+    `→ ${response.status} ${response.statusText}${request.attempts > 1 ? ` (after ${request.attempts} attempts)` : ''}`,
+    response.status === 401
+      ? `Authentication failed${request.profile ? ` for profile "${request.profile}"` : ''}. Re-authenticate with login (auth/login), or switch_auth_profile to an account that is signed in.`
+      : null,
+    savedFile
+      ? `Saved ${savedFile.mimeType} (${formatBytes(savedFile.size)}) to ${savedFile.path}\nsha256: ${savedFile.sha256}`
+      : null,
+    response.bodyOmitted
+      ? `Body omitted: larger than MCP_MAX_INLINE_BYTES (${formatBytes(CONFIG.maxInlineBytes)}). Retry with outputDir to save it to disk.`
+      : null,
+    preview ? `Body preview: ${preview}` : null
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function formatDryRunSummary(result) {
+  const { request } = result;
+  return [
+    `Dry run: ${request.method} ${request.url} was not sent.`,
+    `Headers: ${JSON.stringify(request.headers)}`,
+    request.serializedBody !== null ? `Body:\n${request.serializedBody}` : 'No body.',
+    request.creditCost ? `Would spend ${formatCredits(request.creditCost)}.` : null
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+function formatRouteSummary(route, schemaFormat = 'summary') {
+  const format =
+    schemaFormat === 'json-schema'
+      ? (schema) => (schema ? JSON.stringify(toJsonSchema(schema), null, 2) : null)
+      : (schema) => {
+          const summary = summarizeSchema(schema);
+          return summary ? formatSchemaSummary(summary) : null;
+        };
+  const input = format(route.inputSchema);
+  const output = format(route.outputSchema);
+
+  const lines = [
+    `${route.method} /${route.path}`,
+    route.description ? `- ${route.description}` : null,
+    `tool: ${getRouteToolName(route)}`,
+    route.authRequired ? 'auth: required' : 'auth: public',
+    route.group ? `group: ${route.group}` : null,
+    route.notes ? `notes: ${route.notes}` : null,
+    input ? `input:\n${input}` : 'input:\n  (none)',
+    output ? `output:\n${output}` : 'output:\n  (none)'
+  ];
+
+  return lines.filter(Boolean).join('\n');
+}
+
+function formatSchemaSummary(summary, indent = '  ') {
+  if (!summary) {
+    return `${indent}(none)`;
+  }
+
+  const lines = [`${indent}- type: ${summary.type}`];
+  if (summary.description) {
+    lines.push(`${indent}- description: ${summary.description}`);
+  }
+  if (summary.enumValues?.length) {
+    lines.push(`${indent}- enum: [${summary.enumValues.join(', ')}]`);
+  }
+  if (summary.optional) {
+    lines.push(`${indent}- optional: true`);
+  }
+  if (summary.nullable) {
+    lines.push(`${indent}- nullable: true`);
+  }
+
+  if (summary.properties) {
+    lines.push(`${indent}- properties:`);
+    for (const [key, value] of Object.entries(summary.properties)) {
+      lines.push(`${indent}  ${key}:`);
+      lines.push(formatSchemaSummary(value, `${indent}    `));
+    }
+  }
+
+  if (summary.items) {
+    lines.push(`${indent}- items:`);
+    if (Array.isArray(summary.items)) {
+      summary.items.forEach((item, index) => {
+        lines.push(`${indent}  [${index}]:`);
+        lines.push(formatSchemaSummary(item, `${indent}    `));
+      });
+    } else {
+      lines.push(formatSchemaSummary(summary.items, `${indent}  `));
+    }
+  }
+
+  if (summary.unionOptions?.length) {
+    lines.push(`${indent}- union options:`);
+    summary.unionOptions.forEach((option, index) => {
+      lines.push(`${indent}  [${index}]:`);
+      lines.push(formatSchemaSummary(option, `${indent}    `));
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function buildOpenApiDocument(routes = API_ROUTES) {
+  const context = createJsonSchemaContext('#/components/schemas/');
+  const paths = {};
+  for (const route of routes) {
+    const pathKey = `/${route.path}`;
+    paths[pathKey] = {
+      ...paths[pathKey],
+      [route.method.toLowerCase()]: buildOpenApiOperation(route, context)
+    };
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    jsonSchemaDialect: JSON_SCHEMA_DIALECT,
+    info: {
+      title: 'Mimi Panda API',
+      version: SERVER_INFO.version,
+      description: `Route catalog exported from ${SERVER_INFO.name}.`
+    },
+    servers: [{ url: `${CONFIG.baseUrl}${CONFIG.apiPrefix === '/' ? '' : CONFIG.apiPrefix}` }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      ...(Object.keys(context.defs).length ? { schemas: context.defs } : {})
+    }
+  };
+}
+
+function buildOpenApiOperation(route, context) {
+  const { paramNames } = compileRoutePattern(route.path);
+  const input = route.inputSchema ? toJsonSchemaInternal(route.inputSchema, context) : null;
+  const { properties = {}, required = [], ...inputKeywords } = input ?? {};
+  const fields = Object.entries(properties).filter(([name]) => !paramNames.includes(name));
+  const usesQuery = route.method === 'GET' || route.method === 'DELETE';
+
+  const parameters = paramNames.map((name) => toOpenApiParameter(name, 'path', properties[name] ?? { type: 'string' }, true));
+  if (usesQuery) {
+    parameters.push(...fields.map(([name, schema]) => toOpenApiParameter(name, 'query', schema, required.includes(name))));
+  }
+
+  const operation = {
+    operationId: getRouteToolName(route),
+    summary: route.description,
+    ...(route.notes ? { description: route.notes } : {}),
+    ...(route.group ? { tags: [route.group] } : {}),
+    security: route.authRequired ? [{ bearerAuth: [] }] : [],
+    ...(parameters.length ? { parameters } : {})
+  };
+
+  if (!usesQuery && input) {
+    const bodyRequired = required.filter((name) => !paramNames.includes(name));
+    const body = {
+      ...inputKeywords,
+      properties: Object.fromEntries(fields),
+      ...(bodyRequired.length ? { required: bodyRequired } : {})
+    };
+    const content = { 'application/json': { schema: body } };
+    if (route.uploadFields?.length) {
+      // Upload fields take either a URL (JSON) or the file itself (multipart).
+      content['multipart/form-data'] = {
+        schema: {
+          ...body,
+          properties: {
+            ...body.properties,
+            ...Object.fromEntries(
+              route.uploadFields.map((field) => [
+                field,
+                { type: 'string', contentMediaType: 'application/octet-stream', description: body.properties[field]?.description }
+              ])
+            )
+          }
+        }
+      };
+    }
+    operation.requestBody = { required: true, content };
+  }
+
+  operation.responses = {
+    200: route.fileDownload
+      ? {
+          description: 'File download. Content-Disposition carries the filename.',
+          content: { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } }
+        }
+      : {
+          description: 'Successful response.',
+          ...(route.outputSchema
+            ? { content: { 'application/json': { schema: toJsonSchemaInternal(route.outputSchema, context) } } }
+            : {})
+        },
+    ...(route.authRequired ? { 401: { description: 'Missing or invalid bearer token.' } } : {}),
+    ...(input ? { 422: { description: 'The request failed validation.' } } : {})
+  };
+
+  return operation;
+}
+
+function toOpenApiParameter(name, location, schema, required) {
+  const { description, ...rest } = schema;
+  return {
+    name,
+    in: location,
+    required,
+    ...(description ? { description } : {}),
+    schema: rest
+  };
+}
+
+async function exportOpenApi({ group, outputDir, filename } = {}) {
+  const routes = group ? API_ROUTES.filter((route) => route.group?.toLowerCase() === group.toLowerCase()) : API_ROUTES;
+  if (!routes.length) {
+    throw new Error(`No routes in group "${group}".`);
+  }
+  const document = buildOpenApiDocument(routes);
+  const result = { openapi: document.openapi, routeCount: routes.length, file: null, document: null };
+  if (!outputDir) {
+    return { ...result, document };
+  }
+
+  const targetDir = resolve(outputDir);
+  await mkdir(targetDir, { recursive: true });
+  const { path: filePath, handle } = await reserveFilePath(targetDir, `${sanitizeFileStem(filename ?? 'openapi', 'openapi')}.json`);
+  const buffer = Buffer.from(`${JSON.stringify(document, null, 2)}\n`, 'utf8');
+  try {
+    await handle.writeFile(buffer);
+  } finally {
+    await handle.close();
+  }
+  return {
+    ...result,
+    file: {
+      path: filePath,
+      filename: basename(filePath),
+      size: buffer.length,
+      mimeType: 'application/json',
+      sha256: createHash('sha256').update(buffer).digest('hex')
+    }
+  };
+}
+
+async function readOpenApiDocument(source) {
+  let text;
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(CONFIG.timeoutMs ?? DEFAULT_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Fetching ${source} failed with ${response.status} ${response.statusText}.`);
+    }
+    text = await response.text();
+  } else {
+    text = await readFile(resolve(source), 'utf8');
+  }
+
+  const document = tryParseJson(text);
+  if (!document || typeof document.paths !== 'object' || !String(document.openapi ?? '').startsWith('3.')) {
+    throw new Error(`${source} is not an OpenAPI 3 document in JSON format.`);
+  }
+  return document;
+}
+
+function openApiToRoutes(document) {
+  const refs = new Map();
+  const convert = (schema) => jsonSchemaToZod(schema, document, refs);
+  const resolveRef = (value) => (value?.$ref ? resolveJsonPointer(document, value.$ref) : value);
+  // Paths are relative to the first server URL, which usually carries the API prefix.
+  const serverPath = new URL(document.servers?.[0]?.url ?? '/', 'http://openapi.invalid').pathname.replace(/\/+$/, '');
+  const routes = [];
+
+  for (const [rawPath, rawPathItem] of Object.entries(document.paths)) {
+    const pathItem = resolveRef(rawPathItem) ?? {};
+    const path = toRouteLookupPath(`${serverPath}${rawPath}`);
+    for (const method of OPENAPI_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue;
+      }
+
+      const shape = {};
+      const parameters = [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])].map(resolveRef);
+      for (const parameter of parameters) {
+        if (parameter?.in !== 'path' && parameter?.in !== 'query') {
+          continue;
+        }
+        let field = convert(parameter.schema);
+        if (parameter.description) {
+          field = field.describe(parameter.description);
+        }
+        shape[parameter.name] = parameter.required || parameter.in === 'path' ? field : field.optional();
+      }
+
+      const requestBody = resolveRef(operation.requestBody);
+      const bodyType = OPENAPI_BODY_TYPES.find((type) => requestBody?.content?.[type]);
+      const bodySchema = bodyType ? resolveRef(requestBody.content[bodyType].schema) : null;
+      const multipartSchema = resolveRef(requestBody?.content?.['multipart/form-data']?.schema);
+      const uploadFields = Object.entries(multipartSchema?.properties ?? {})
+        .filter(([, property]) => isBinaryJsonSchema(resolveRef(property)))
+        .map(([name]) => name);
+      if (bodySchema?.properties) {
+        const bodyRequired = new Set(bodySchema.required ?? []);
+        for (const [name, property] of Object.entries(bodySchema.properties)) {
+          // File fields validate like the curated upload fields: a URL string, or a files entry through call_api.
+          const field = uploadFields.includes(name)
+            ? z.string().describe(resolveRef(property).description ?? 'File upload or publicly accessible URL.')
+            : convert(property);
+          shape[name] = bodyRequired.has(name) ? field : field.optional();
+        }
+      }
+
+      const success = Object.entries(operation.responses ?? {}).find(([status]) => /^2/.test(status));
+      const responseContent = resolveRef(success?.[1])?.content ?? {};
+      const jsonType = Object.keys(responseContent).find((type) => /json/i.test(type));
+      const responseSchema = jsonType ? convert(responseContent[jsonType].schema) : null;
+      const outputSchema = responseSchema instanceof z.ZodLazy ? responseSchema.schema : responseSchema;
+      const security = operation.security ?? document.security ?? [];
+
+      routes.push({
+        method: method.toUpperCase(),
+        path,
+        description: operation.summary ?? operation.description ?? `${method.toUpperCase()} /${path}`,
+        authRequired: security.some((requirement) => Object.keys(requirement).length > 0),
+        group: operation.tags?.[0] ?? path.split('/')[0],
+        notes: [operation.summary ? operation.description : null, 'Imported from OpenAPI.'].filter(Boolean).join(' '),
+        imported: true,
+        ...(uploadFields.length ? { uploadFields } : {}),
+        ...(!jsonType && Object.keys(responseContent).length ? { fileDownload: true } : {}),
+        inputSchema: Object.keys(shape).length ? z.object(shape) : undefined,
+        // Typed tools need an object output schema; anything else is returned unchecked.
+        outputSchema: unwrapObjectSchema(outputSchema) ? outputSchema : undefined
+      });
+    }
+  }
+
+  return routes;
+}
+
+function addApiRoutes(routes) {
+  const added = [];
+  const skipped = [];
+  for (const route of routes) {
+    const existing = API_ROUTES.some(
+      (entry) => entry.method === route.method && entry.path === route.path
+    );
+    const toolName = getRouteToolName(route);
+    // Curated routes win: an imported operation never replaces a route declared in API_ROUTES.
+    if (existing || API_ROUTES.some((entry) => getRouteToolName(entry) === toolName)) {
+      skipped.push(route);
+      continue;
+    }
+    API_ROUTES.push(route);
+    API_ROUTE_MATCHERS.push({ route, ...compileRoutePattern(route.path) });
+    added.push(route);
+  }
+  return { added, skipped };
+}
+
+async function importOpenApiRoutes(source) {
+  const document = await readOpenApiDocument(source);
+  const { added, skipped } = addApiRoutes(openApiToRoutes(document));
+  console.error(
+    `[${SERVER_INFO.name}] Imported ${added.length} routes from ${source}${skipped.length ? ` (${skipped.length} already declared)` : ''}.`
+  );
+  return added;
+}
+
+function isBinaryJsonSchema(schema) {
+  return Boolean(schema) && (schema.format === 'binary' || (schema.type === 'string' && Boolean(schema.contentMediaType)));
+}
+
+function resolveJsonPointer(document, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref pointers are supported, got ${ref}.`);
+  }
+  const target = ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, token) => node?.[token.replace(/~1/g, '/').replace(/~0/g, '~')], document);
+  if (target === undefined) {
+    throw new Error(`Unresolved $ref ${ref}.`);
+  }
+  return target;
+}
+
+function jsonSchemaToZod(schema, document, refs = new Map()) {
+  const convert = (inner) => jsonSchemaToZod(inner, document, refs);
+  if (schema === undefined || schema === null || schema === true) {
+    return z.any();
+  }
+  if (schema === false) {
+    return z.never();
+  }
+
+  if (schema.$ref) {
+    // Named schemas are converted once behind z.lazy, which also ends recursion.
+    if (!refs.has(schema.$ref)) {
+      let resolved;
+      refs.set(schema.$ref, z.lazy(() => resolved));
+      resolved = convert(resolveJsonPointer(document, schema.$ref));
+    }
+    const reference = refs.get(schema.$ref);
+    return schema.description ? reference.describe(schema.description) : reference;
+  }
+
+  let result;
+  if (schema.const !== undefined) {
+    result = z.literal(schema.const);
+  } else if (Array.isArray(schema.enum)) {
+    const values = schema.enum.filter((value) => value !== null);
+    result = values.every((value) => typeof value === 'string') && values.length
+      ? z.enum(values)
+      : unionOf(values.map((value) => z.literal(value)));
+    if (values.length < schema.enum.length) {
+      result = result.nullable();
+    }
+  } else if (schema.anyOf || schema.oneOf) {
+    result = unionOf((schema.anyOf ?? schema.oneOf).map(convert));
+  } else if (schema.allOf) {
+    result = schema.allOf.map(convert).reduce((left, right) => z.intersection(left, right));
+  } else {
+    const types = Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type ?? (schema.properties ? 'object' : schema.items ? 'array' : null)].filter(Boolean);
+    const variants = types.filter((type) => type !== 'null').map((type) => jsonSchemaTypeToZod(type, schema, convert));
+    result = variants.length ? unionOf(variants) : types.includes('null') ? z.null() : z.any();
+    // OpenAPI 3.0 documents mark nullability with nullable: true instead of a null type.
+    if (variants.length && (types.includes('null') || schema.nullable === true)) {
+      result = result.nullable();
+    }
+  }
+
+  if (schema.description) {
+    result = result.describe(schema.description);
+  }
+  if (schema.default !== undefined) {
+    result = result.default(schema.default);
+  }
+  return result;
+}
+
+function jsonSchemaTypeToZod(type, schema, convert) {
+  switch (type) {
+    case 'string': {
+      let result = z.string();
+      if (schema.minLength !== undefined) {
+        result = result.min(schema.minLength);
+      }
+      if (schema.maxLength !== undefined) {
+        result = result.max(schema.maxLength);
+      }
+      if (schema.pattern) {
+        result = result.regex(new RegExp(schema.pattern));
+      }
+      switch (schema.format) {
+        case 'email':
+          return result.email();
+        case 'uuid':
+          return result.uuid();
+        case 'uri':
+          return result.url();
+        case 'date-time':
+          return result.datetime({ offset: true });
+        default:
+          return result;
+      }
+    }
+    case 'number':
+    case 'integer': {
+      let result = type === 'integer' ? z.number().int() : z.number();
+      // OpenAPI 3.0 uses boolean exclusiveMinimum/exclusiveMaximum next to minimum/maximum.
+      if (typeof schema.exclusiveMinimum === 'number') {
+        result = result.gt(schema.exclusiveMinimum);
+      } else if (schema.minimum !== undefined) {
+        result = schema.exclusiveMinimum === true ? result.gt(schema.minimum) : result.gte(schema.minimum);
+      }
+      if (typeof schema.exclusiveMaximum === 'number') {
+        result = result.lt(schema.exclusiveMaximum);
+      } else if (schema.maximum !== undefined) {
+        result = schema.exclusiveMaximum === true ? result.lt(schema.maximum) : result.lte(schema.maximum);
+      }
+      if (schema.multipleOf !== undefined) {
+        result = result.multipleOf(schema.multipleOf);
+      }
+      return result;
+    }
+    case 'boolean':
+      return z.boolean();
+    case 'array': {
+      if (Array.isArray(schema.prefixItems)) {
+        const tuple = z.tuple(schema.prefixItems.map(convert));
+        return schema.items ? tuple.rest(convert(schema.items)) : tuple;
+      }
+      let result = z.array(convert(schema.items));
+      if (schema.minItems !== undefined) {
+        result = result.min(schema.minItems);
+      }
+      if (schema.maxItems !== undefined) {
+        result = result.max(schema.maxItems);
+      }
+      return result;
+    }
+    case 'object': {
+      const required = new Set(schema.required ?? []);
+      const entries = Object.entries(schema.properties ?? {});
+      if (!entries.length && schema.additionalProperties && schema.additionalProperties !== true) {
+        return z.record(convert(schema.additionalProperties));
+      }
+      // Unknown keys are allowed, as JSON Schema does without additionalProperties: false.
+      return z
+        .object(
+          Object.fromEntries(
+            entries.map(([name, property]) => [name, required.has(name) ? convert(property) : convert(property).optional()])
+          )
+        )
+        .passthrough();
+    }
+    default:
+      return z.any();
+  }
+}
+
+function unionOf(options) {
+  if (!options.length) {
+    return z.never();
+  }
+  return options.length === 1 ? options[0] : z.union(options);
+}
+
+function buildHeaders(extraHeaders = {}) {
+  const headers = new Headers({
+    Accept: 'application/json',
+    'User-Agent': `${SERVER_INFO.name}/${SERVER_INFO.version}`,
+    'X-Requested-With': 'XMLHttpRequest'
+  });
+
+  mergeHeaderRecord(headers, CONFIG.defaultHeaders);
+  mergeHeaderRecord(headers, extraHeaders);
+
+  return headers;
+}
+
+function mergeHeaderRecord(headers, record) {
+  if (!record) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(record)) {
+    if (value !== undefined && value !== null) {
+      headers.set(key, String(value));
+    }
+  }
+}
+
+function headersToObject(headers) {
+  const result = {};
+  for (const [key, value] of headers.entries()) {
+    result[key] = SENSITIVE_HEADERS.has(key.toLowerCase()) ? '***' : value;
+  }
+  return result;
+}
+
+function buildUrl(path, query) {
+  const relativePath = normalizeRelativePath(path);
+  const absolutePath = CONFIG.apiPrefix === '/' ? relativePath : `${CONFIG.apiPrefix}${relativePath}`;
+  const url = new URL(absolutePath, CONFIG.baseUrl);
+
+  if (query) {
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (Array.isArray(value)) {
+        value.forEach((entry) => {
+          url.searchParams.append(key, normalizeQueryValue(entry));
+        });
+      } else {
+        url.searchParams.append(key, normalizeQueryValue(value));
+      }
+    }
+  }
+
+  return url;
+}
+
+// Item keys come from tool input, resource URIs and backend responses; encoding keeps each one a single path segment.
+function itemApiPath(key, ...segments) {
+  const parts = [key, ...segments].map((part) => String(part ?? ''));
+  if (parts.some((part) => part === '' || part === '.' || part === '..')) {
+    throw new Error(`Invalid item path: service/item/${parts.join('/')}`);
+  }
+  return ['service/item', ...parts.map(encodeURIComponent)].join('/');
+}
+
+function normalizeRelativePath(path) {
+  const trimmed = path.startsWith('/') ? path : `/${path}`;
+  // Only strip whole segments, so /apiary is not read as /api + ary.
+  if (CONFIG.apiPrefix !== '/' && (trimmed === CONFIG.apiPrefix || trimmed.startsWith(`${CONFIG.apiPrefix}/`))) {
+    return trimmed.slice(CONFIG.apiPrefix.length) || '/';
+  }
+  return trimmed;
+}
+
+function normalizeQueryValue(value) {
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return String(value);
+}
+
+function normalizeBaseUrl(url) {
+  if (!url) {
+    return 'http://localhost';
+  }
+  return url.endsWith('/') ? url.slice(0, -1) : url;
+}
+
+function normalizeApiPrefix(prefix) {
+  if (!prefix) {
+    return '/api';
+  }
+  const withLeadingSlash = prefix.startsWith('/') ? prefix : `/${prefix}`;
+  return withLeadingSlash.endsWith('/') && withLeadingSlash !== '/' ? withLeadingSlash.slice(0, -1) : withLeadingSlash;
+}
+
+function clampTimeout(value) {
+  if (!Number.isFinite(value) || value <= 0) {
+    return DEFAULT_TIMEOUT_MS;
+  }
+  return Math.max(1000, Math.min(MAX_TIMEOUT_MS, value));
+}
+
+function parseHeaderRecord(serialized, variableName = 'MCP_API_HEADERS') {
+  if (!serialized) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(serialized);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return Object.fromEntries(
+        Object.entries(parsed).map(([key, value]) => [key, value === undefined || value === null ? '' : String(value)])
+      );
+    }
+  } catch (error) {
+    console.warn(`Failed to parse ${variableName} JSON:`, error);
+  }
+
+  return {};
+}
+
+function isBinaryContentType(contentType) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return (
+    type === 'application/pdf' ||
+    type === 'application/octet-stream' ||
+    type === 'application/zip' ||
+    (type.startsWith('image/') && type !== 'image/svg+xml')
+  );
+}
+
+function tryParseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function parsePositiveInteger(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function parseCommaList(value) {
+  return (sanitizeEnvString(value) ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseConfirmPolicy(value) {
+  const configured = sanitizeEnvString(value)?.toLowerCase();
+  if (!configured || DISABLED_ENV_VALUES.includes(configured)) {
+    return [];
+  }
+  const entries = configured.split(',').map((entry) => entry.trim()).filter(Boolean);
+  const unknown = entries.filter((entry) => entry !== 'all' && !CONFIRM_CATEGORIES.includes(entry));
+  if (unknown.length) {
+    console.warn(`Ignoring unknown MCP_CONFIRM entries: ${unknown.join(', ')}. Use ${CONFIRM_CATEGORIES.join(', ')}, all, or off.`);
+  }
+  return CONFIRM_CATEGORIES.filter((category) => entries.includes(category) || entries.includes('all'));
+}
+
+function parseAllowedPaths(value) {
+  const configured = sanitizeEnvString(value);
+  if (!configured) {
+    return [];
+  }
+  // Entries look like "service/beta/*" or "GET stats/**": * stays within a segment, ** spans segments.
+  return configured
+    .split(',')
+    .map((entry) => entry.trim().match(/^(?:([A-Za-z]+)\s+)?\/*(.+?)\/*$/))
+    .filter(Boolean)
+    .map(([pattern, method, path]) => ({
+      pattern,
+      method: method?.toUpperCase() ?? null,
+      regex: new RegExp(
+        `^${path
+          .split('**')
+          .map((part) => part.split('*').map(escapeRegExp).join('[^/]*'))
+          .join('.*')}$`
+      )
+    }));
+}
+
+function parseCreditBudget(value) {
+  const parsed = Number.parseFloat(value ?? '');
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function parseCreditCosts(serialized) {
+  if (!serialized) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(serialized);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    console.warn('Failed to parse MCP_CREDIT_COSTS JSON:', error);
+  }
+
+  return {};
+}
+
+function parseRetryCount(value, fallback) {
+  const parsed = Number.parseInt(value ?? '', 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.min(parsed, MAX_RETRIES) : fallback;
+}
+
+function sanitizeEnvString(value) {
+  return value && value.trim() ? value.trim() : null;
+}
+
+function createPreview(body) {
+  if (body === null || body === undefined) {
+    return '';
+  }
+  const text =
+    typeof body === 'string'
+      ? body
+      : JSON.stringify(body, (_key, val) => (typeof val === 'bigint' ? String(val) : val));
+  return text.length > 600 ? `${text.slice(0, 600)}…` : text;
+}
+
+function formatStartupBanner(transportLabel = 'stdio') {
+  return `[${SERVER_INFO.name}] Ready on ${transportLabel} (base: ${CONFIG.baseUrl}, prefix: ${CONFIG.apiPrefix})`;
+}
+
+function parseCliOptions(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+    const readValue = () => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      index += 1;
+      if (argv[index] === undefined) {
+        throw new Error(`Missing value for ${flag}.`);
+      }
+      return argv[index];
+    };
+
+    switch (flag) {
+      case '--transport':
+        options.transport = readValue().toLowerCase();
+        break;
+      case '--http':
+        options.transport = 'http';
+        break;
+      case '--stdio':
+        options.transport = 'stdio';
+        break;
+      case '--mock':
+        options.mock = true;
+        break;
+      case '--openapi':
+        options.openApiSpec = readValue();
+        break;
+      case '--export-openapi':
+        options.exportOpenApi = readValue();
+        break;
+      case '--host':
+        options.host = readValue();
+        break;
+      case '--port':
+        options.port = parsePositiveInteger(readValue(), null);
+        if (!options.port || options.port > 65535) {
+          throw new Error(`Invalid --port value: ${arg}`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function startHttpServer({ host, port, authToken, sessionTtlMs = CONFIG.http.sessionTtlMs }) {
+  const sessions = new Map();
+  const originPolicy = { allowedHosts: CONFIG.http.allowedHosts, allowedOrigins: CONFIG.http.allowedOrigins };
+
+  const httpServer = createServer((req, res) => {
+    handleHttpRequest(req, res, sessions, { authToken, originPolicy }).catch((error) => {
+      console.error('Failed to handle MCP HTTP request:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, jsonRpcError(-32603, 'Internal server error'));
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const boundPort = httpServer.address().port;
+  if (!originPolicy.allowedHosts.length) {
+    originPolicy.allowedHosts = defaultAllowedHosts(host, boundPort);
+  }
+
+  if (!authToken && !isLoopbackHost(host)) {
+    console.error(
+      `[${SERVER_INFO.name}] Warning: listening on ${host} without MCP_HTTP_AUTH_TOKEN; anyone who can reach this port can use the server.`
+    );
+  }
+  if (!originPolicy.allowedHosts.length) {
+    console.error(
+      `[${SERVER_INFO.name}] Warning: listening on ${host} without MCP_HTTP_ALLOWED_HOSTS; the Host header is not checked.`
+    );
+  }
+  if (!CONFIG.http.shareCredentials && (CONFIG.defaultToken || Object.keys(CONFIG.profileTokens).length)) {
+    console.error(
+      `[${SERVER_INFO.name}] MCP_API_TOKEN and MCP_API_PROFILES are not given to HTTP sessions; clients log in themselves. Set MCP_HTTP_SHARE_CREDENTIALS=on to share them.`
+    );
+  }
+  console.error(formatStartupBanner(`http://${host}:${boundPort}/mcp`));
+
+  // Clients that disappear without a DELETE would otherwise keep their session, and its credentials, forever.
+  const sweeper = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const [id, entry] of sessions) {
+      if (entry.lastSeen < cutoff) {
+        sessions.delete(id);
+        entry.transport.close().catch(() => {});
+      }
+    }
+  }, Math.min(sessionTtlMs, MAX_HTTP_SESSION_SWEEP_MS));
+  sweeper.unref();
+  httpServer.once('close', () => clearInterval(sweeper));
+
+  const shutdown = async () => {
+    await Promise.allSettled(Array.from(sessions.values()).map(({ transport }) => transport.close()));
+    httpServer.close(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return httpServer;
+}
+
+async function handleHttpRequest(req, res, sessions, { authToken, originPolicy }) {
+  const { pathname, searchParams } = new URL(req.url ?? '/', 'http://localhost');
+
+  if (pathname === '/health' && req.method === 'GET') {
+    sendJson(res, 200, {
+      status: 'ok',
+      name: SERVER_INFO.name,
+      version: SERVER_INFO.version,
+      sessions: sessions.size
+    });
+    return;
+  }
+
+  if (authToken && !isAuthorizedHttpRequest(req, authToken)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendJson(res, 401, jsonRpcError(-32001, 'Unauthorized'));
+    return;
+  }
+
+  // A DNS-rebinding page reaches a loopback port with its own Host (and Origin), so both are checked before any session exists.
+  const originError = checkRequestOrigin(req, originPolicy);
+  if (originError) {
+    console.error(`[${SERVER_INFO.name}] Rejected HTTP request: ${originError}`);
+    sendJson(res, 403, jsonRpcError(-32000, originError));
+    return;
+  }
+  // Origins stay with checkRequestOrigin: the SDK would also reject clients that send no Origin at all.
+  const transportOptions = {
+    enableDnsRebindingProtection: originPolicy.allowedHosts.length > 0,
+    allowedHosts: originPolicy.allowedHosts
+  };
+
+  if (pathname === '/mcp') {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? sessions.get(sessionId) : null;
+    if (existing) {
+      existing.lastSeen = Date.now();
+    }
+    if (existing && !(existing.transport instanceof StreamableHTTPServerTransport)) {
+      sendJson(res, 400, jsonRpcError(-32000, 'Session uses the SSE transport; post messages to /messages.'));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req, res);
+      if (body === undefined) {
+        return;
+      }
+      if (existing) {
+        await existing.transport.handleRequest(req, res, body);
+        return;
+      }
+      if (sessionId || !isInitializeRequest(body)) {
+        sendJson(
+          res,
+          sessionId ? 404 : 400,
+          jsonRpcError(-32000, sessionId ? 'Unknown or expired session.' : 'Missing mcp-session-id header.')
+        );
+        return;
+      }
+
+      const server = createMcpServer(createHttpSession());
+      const transport = new StreamableHTTPServerTransport({
+        ...transportOptions,
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server, lastSeen: Date.now() });
+        }
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          sessions.delete(transport.sessionId);
+        }
+      };
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!existing) {
+        sendJson(res, sessionId ? 404 : 400, jsonRpcError(-32000, 'Unknown or missing session.'));
+        return;
+      }
+      await existing.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    sendJson(res, 405, jsonRpcError(-32000, 'Method not allowed.'));
+    return;
+  }
+
+  // Deprecated HTTP+SSE transport for clients that do not support Streamable HTTP yet.
+  if (pathname === '/sse' && req.method === 'GET') {
+    const server = createMcpServer(createHttpSession());
+    const transport = new SSEServerTransport('/messages', res, transportOptions);
+    sessions.set(transport.sessionId, { transport, server, lastSeen: Date.now() });
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+    });
+    await server.connect(transport);
+    return;
+  }
+
+  if (pathname === '/messages' && req.method === 'POST') {
+    const entry = sessions.get(searchParams.get('sessionId') ?? '');
+    if (!entry || !(entry.transport instanceof SSEServerTransport)) {
+      sendJson(res, 404, jsonRpcError(-32000, 'Unknown or expired session.'));
+      return;
+    }
+    entry.lastSeen = Date.now();
+    const body = await readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+    await entry.transport.handlePostMessage(req, res, body);
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+function defaultAllowedHosts(host, port) {
+  // A wildcard bind is reached under names we cannot know; MCP_HTTP_ALLOWED_HOSTS has to list them.
+  if (host === '0.0.0.0' || host === '::') {
+    return [];
+  }
+  const names = isLoopbackHost(host) ? ['localhost', '127.0.0.1', '[::1]'] : [];
+  const bound = host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+  return [...new Set([...names, bound])].map((name) => `${name}:${port}`);
+}
+
+function checkRequestOrigin(req, { allowedHosts, allowedOrigins }) {
+  if (allowedHosts.length && !allowedHosts.includes(req.headers.host ?? '')) {
+    return `Invalid Host header: ${req.headers.host ?? '(none)'}`;
+  }
+  // Non-browser clients send no Origin; browsers always do, and must come from an allowed origin.
+  const requestOrigin = req.headers.origin;
+  if (requestOrigin && !allowedOrigins.includes(requestOrigin)) {
+    return `Invalid Origin header: ${requestOrigin}`;
+  }
+  return null;
+}
+
+function isAuthorizedHttpRequest(req, authToken) {
+  const header = req.headers.authorization ?? '';
+  const supplied = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(authToken);
+  return supplied.length === expected.length && timingSafeEqual(supplied, expected);
+}
+
+async function readJsonBody(req, res) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_HTTP_BODY_BYTES) {
+      sendJson(res, 413, jsonRpcError(-32600, 'Request body too large.'));
+      return undefined;
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    sendJson(res, 400, jsonRpcError(-32700, 'Parse error: request body is not valid JSON.'));
+    return undefined;
+  }
+}
+
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+function jsonRpcError(code, message) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null };
+}
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || host.startsWith('127.');
+}
+
+function createMockBackend({ stepMs = DEFAULT_MOCK_STEP_MS } = {}) {
+  const items = new Map();
+  const tokens = new Set([MOCK_API_TOKEN]);
+  const palette = MOCK_PALETTE.map(([code, name, hex]) => describeColor(hex, { code, name }));
+  let origin = null;
+
+  const itemStatus = (item) => {
+    const elapsed = Date.now() - item.createdAt;
+    if (elapsed < stepMs) {
+      return 'pending';
+    }
+    if (elapsed < 2 * stepMs) {
+      return 'processing';
+    }
+    return item.fails ? 'failed' : 'ready';
+  };
+
+  const itemPayload = (item) => {
+    const status = itemStatus(item);
+    const ready = status === 'ready';
+    const fileUrl = (name) => `${origin}/mock-files/${item.key}/${name}.png`;
+    return {
+      key: item.key,
+      status,
+      created: formatMockTimestamp(item.createdAt),
+      updated: formatMockTimestamp(item.createdAt + Math.min(Date.now() - item.createdAt, 2 * stepMs)),
+      title: item.isPbn || item.routePath === 'service/coloring' ? `Mock ${item.routePath.split('/').pop()} ${item.key.slice(0, 8)}` : null,
+      images: !ready ? null : item.isPbn ? { pbn: fileUrl('pbn'), origin: fileUrl('origin'), outlines: fileUrl('outlines') } : [fileUrl('result')],
+      ...(item.isPbn && ready
+        ? {
+            colors: palette.map((color, index) => ({ code: color.code, name: color.name, hex: color.hex, percent: MOCK_PALETTE[index][3] }))
+          }
+        : {}),
+      parameters: item.parameters
+    };
+  };
+
+  const handlers = {
+    'POST auth/login': ({ body }) => {
+      if (body?.email !== MOCK_CREDENTIALS.email || body?.password !== MOCK_CREDENTIALS.password) {
+        return { status: 401, json: { message: 'Invalid credentials.' } };
+      }
+      const token = `mock-${randomUUID()}`;
+      tokens.add(token);
+      return { status: 200, json: { token, userId: 1, plan: 'mock', credits: 1000 } };
+    },
+    'GET user/me': () => ({ status: 200, json: { id: 1, email: MOCK_CREDENTIALS.email, plan: 'mock', credits: 1000 } }),
+    'POST user/logout': ({ token }) => {
+      tokens.delete(token);
+      return { status: 200, json: { message: 'All tokens were revoked.' } };
+    },
+    'GET service/item/{uuid}': ({ params }) => {
+      const item = items.get(params.uuid);
+      return item ? { status: 200, json: itemPayload(item) } : { status: 404, json: { message: 'Item not found.' } };
+    },
+    'GET service/item/{uuid}/pbn/download/{type}': ({ params }) => mockPbnDownload(params, { items, itemStatus, palette }),
+    'GET service/item/{uuid}/pbn/colors/{type}': ({ params }) => mockPbnDownload(params, { items, itemStatus, palette }),
+    'POST service/color/unmix': ({ body }) => {
+      const color = describeColor(String(body?.hex ?? '000000'));
+      return { status: 200, json: { hex: color.hex, rgb: color.rgb, hsl: color.hsl, ...mockUnmix(color) } };
+    },
+    'POST service/color/mix': ({ body }) => {
+      const entries = Array.isArray(body?.colors) ? body.colors : [];
+      const weights = entries.map((entry) => (typeof entry.amount === 'number' ? entry.amount : 1));
+      const total = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+      const rgb = [0, 1, 2].map((channel) =>
+        entries.reduce((sum, entry, index) => sum + hexToRgb(String(entry.hex))[channel] * weights[index], 0) / total
+      );
+      const color = describeColor(rgbToHex(rgb));
+      return { status: 200, json: { hex: color.hex, rgb: color.rgb, hsl: color.hsl } };
+    }
+  };
+
+  const routes = API_ROUTES.map((route) => ({ route, ...compileRoutePattern(route.path) }));
+
+  const server = createServer(async (req, res) => {
+    try {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      const raw = Buffer.concat(chunks);
+      const url = new URL(req.url, origin);
+
+      const fixture = url.pathname.match(/^\/mock-files\/[^/]+\/[\w-]+\.png$/);
+      if (fixture && req.method === 'GET') {
+        sendMockResponse(res, { status: 200, contentType: 'image/png', body: createMockPng() });
+        return;
+      }
+
+      // Strip the prefix the way buildUrl adds it, so MCP_API_PREFIX=/ serves routes from the root.
+      const prefix = CONFIG.apiPrefix === '/' ? '/' : `${CONFIG.apiPrefix}/`;
+      const relativePath = url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : null;
+      const matches = relativePath === null ? [] : routes.filter(({ regex }) => regex.test(relativePath));
+      const matched = matches.find(({ route }) => route.method === req.method);
+      if (!matched) {
+        sendMockResponse(res, { status: matches.length ? 405 : 404, json: { message: matches.length ? 'Method not allowed.' : 'Not found.' } });
+        return;
+      }
+
+      const { route, regex, paramNames } = matched;
+      const token = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1] ?? null;
+      if (route.authRequired && !tokens.has(token)) {
+        sendMockResponse(res, { status: 401, json: { message: 'Unauthenticated.' } });
+        return;
+      }
+
+      const values = relativePath.match(regex).slice(1);
+      const params = Object.fromEntries(paramNames.map((name, index) => [name, safeDecodeURIComponent(values[index])]));
+      const isJson = (req.headers['content-type'] ?? '').includes('application/json');
+      const body = isJson ? tryParseJson(raw.toString('utf8')) : null;
+
+      if (route.createsItem) {
+        const key = randomUUID();
+        const createdAt = Date.now();
+        items.set(key, {
+          key,
+          createdAt,
+          routePath: route.path,
+          isPbn: route.path === 'service/pbn',
+          // Multipart bodies are scanned as text so uploads can opt into failure too.
+          fails: raw.toString('latin1').includes(MOCK_FAILURE_MARKER),
+          parameters: body ?? {}
+        });
+        sendMockResponse(res, { status: 200, json: { key, status: 'pending', created: new Date(createdAt).toISOString() } });
+        return;
+      }
+
+      const handler = handlers[`${route.method} ${route.path}`];
+      const response = handler
+        ? handler({ params, body, token })
+        : { status: 200, json: mockValueFromSchema(route.outputSchema) };
+      sendMockResponse(res, response);
+    } catch (error) {
+      // A failing handler must not take the --mock process down with an unhandled rejection.
+      if (!res.headersSent) {
+        sendMockResponse(res, { status: 500, json: { message: error instanceof Error ? error.message : 'Mock backend error.' } });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  return {
+    items,
+    get url() {
+      return origin;
+    },
+    async listen(port = 0, host = '127.0.0.1') {
+      await new Promise((resolveListen, rejectListen) => {
+        server.once('error', rejectListen);
+        server.listen(port, host, resolveListen);
+      });
+      const address = server.address();
+      origin = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+      return origin;
+    },
+    close() {
+      return new Promise((resolveClose) => server.close(() => resolveClose()));
+    }
+  };
+}
+
+function mockPbnDownload({ uuid, type }, { items, itemStatus, palette }) {
+  const item = items.get(uuid);
+  if (!item || !item.isPbn) {
+    return { status: 404, json: { message: 'PBN item not found.' } };
+  }
+  const status = itemStatus(item);
+  if (status !== 'ready') {
+    return { status: 409, json: { message: `Item is not ready (status: ${status}).` } };
+  }
+
+  const filename = (extension) => `mock-${uuid.slice(0, 8)}-${type}.${extension}`;
+  const file = (contentType, extension, body, headers = {}) => ({
+    status: 200,
+    contentType,
+    body,
+    headers: { 'Content-Disposition': `attachment; filename="${filename(extension)}"`, ...headers }
+  });
+  const mockPalette = { format: 'csv', name: 'Mock PBN', colors: palette, skipped: 0 };
+  switch (type) {
+    case 'csv':
+    case 'gpl':
+    case 'kpl':
+      return file(type === 'kpl' ? 'application/zip' : type === 'csv' ? 'text/csv' : 'text/plain', type, serializePalette(mockPalette, type));
+    case 'swatches':
+      return file('application/zip', 'swatches', serializePalette(mockPalette, 'swatches'), { 'X-Mimi-Colors-Format': 'swatches' });
+    case 'png':
+    case 'pngshort':
+      return file('image/jpeg', 'jpg', Buffer.from(MOCK_JPEG_BASE64, 'base64'));
+    default:
+      break;
+  }
+  if (type.endsWith('pdf') || type === 'pdfshort') {
+    return file('application/pdf', 'pdf', createMockPdf(`Mock ${type} for ${uuid}`));
+  }
+  if (type.endsWith('png')) {
+    return file('image/png', 'png', createMockPng());
+  }
+  return file('image/svg+xml', 'svg', createMockSvg(palette));
+}
+
+function mockUnmix(color) {
+  // A rough subtractive split, good enough for demos: the gray part becomes white and black, the rest red/yellow/blue.
+  const [r, g, b] = color.rgb.map((channel) => channel / 255);
+  const white = Math.min(r, g, b);
+  const yellow = Math.max(0, Math.min(r, g) - white);
+  const shares = {
+    red: Math.max(0, r - white - yellow),
+    yellow,
+    blue: Math.max(0, b - white),
+    white,
+    black: 1 - Math.max(r, g, b)
+  };
+  const total = Object.values(shares).reduce((sum, value) => sum + value, 0) || 1;
+  const primary = Object.fromEntries(Object.entries(shares).map(([pigment, value]) => [pigment, value / total]));
+  // The secondary breakdown folds red+yellow into orange and yellow+blue into green.
+  const orange = Math.min(primary.red, primary.yellow);
+  const green = Math.min(primary.yellow - orange, primary.blue);
+  const secondary = {
+    red: primary.red - orange,
+    yellow: primary.yellow - orange - green,
+    blue: primary.blue - green,
+    orange: 2 * orange,
+    green: 2 * green,
+    white: primary.white,
+    black: primary.black
+  };
+  const round = (breakdown) =>
+    Object.fromEntries(Object.entries(breakdown).map(([pigment, value]) => [pigment, roundTo(value, 3)]));
+  return { unmix: round(secondary), unmix_primary: round(primary) };
+}
+
+function mockValueFromSchema(schema, key = '') {
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    return mockValueFromSchema(schema.unwrap(), key);
+  }
+  if (schema instanceof z.ZodDefault) {
+    return schema._def.defaultValue();
+  }
+  if (schema instanceof z.ZodEffects) {
+    return mockValueFromSchema(schema._def.schema, key);
+  }
+  if (schema instanceof z.ZodLazy) {
+    return mockValueFromSchema(schema.schema, key);
+  }
+  if (schema instanceof z.ZodObject) {
+    return Object.fromEntries(
+      Object.entries(schema.shape)
+        .filter(([, child]) => !(child instanceof z.ZodOptional))
+        .map(([childKey, child]) => [childKey, mockValueFromSchema(child, childKey)])
+    );
+  }
+  if (schema instanceof z.ZodArray) {
+    const length = schema._def.exactLength?.value ?? Math.max(schema._def.minLength?.value ?? 1, 1);
+    return Array.from({ length }, () => mockValueFromSchema(schema.element, key));
+  }
+  if (schema instanceof z.ZodRecord) {
+    return { example: mockValueFromSchema(schema._def.valueType, key) };
+  }
+  if (schema instanceof z.ZodUnion) {
+    return mockValueFromSchema(schema._def.options[0], key);
+  }
+  if (schema instanceof z.ZodEnum) {
+    return schema.options[0];
+  }
+  if (schema instanceof z.ZodLiteral) {
+    return schema.value;
+  }
+  if (schema instanceof z.ZodNumber) {
+    return 1;
+  }
+  if (schema instanceof z.ZodBoolean) {
+    return true;
+  }
+  if (schema instanceof z.ZodString) {
+    if (schema.isEmail) {
+      return MOCK_CREDENTIALS.email;
+    }
+    if (schema.isUUID) {
+      return randomUUID();
+    }
+    if (schema.isURL) {
+      return 'https://mock.mimipanda.test/file.png';
+    }
+    return `mock-${key || 'value'}`;
+  }
+  return null;
+}
+
+function sendMockResponse(res, { status, json, contentType, body, headers = {} }) {
+  const payload = json !== undefined ? Buffer.from(JSON.stringify(json)) : Buffer.isBuffer(body) ? body : Buffer.from(body ?? '', 'utf8');
+  res.writeHead(status, {
+    'Content-Type': json !== undefined ? 'application/json' : contentType,
+    'Content-Length': payload.length,
+    ...headers
+  });
+  res.end(payload);
+}
+
+function formatMockTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function createMockPng(width = 64, height = 64) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typed = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed), 0);
+    return Buffer.concat([length, typed, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  // 8-bit RGB, no interlacing.
+  header[8] = 8;
+  header[9] = 2;
+  const rows = Array.from({ length: height }, (_, y) => {
+    const row = Buffer.alloc(1 + width * 3);
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b] = hexToRgb(MOCK_PALETTE[(Math.floor(x / 16) + Math.floor(y / 16)) % MOCK_PALETTE.length][2]);
+      row.set([r, g, b], 1 + x * 3);
+    }
+    return row;
+  });
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function createMockSvg(palette) {
+  const cells = palette.map(
+    (color, index) =>
+      `<rect x="${(index % 4) * 50}" y="${Math.floor(index / 4) * 50}" width="50" height="50" fill="#${color.hex}" stroke="#000"/>` +
+      `<text x="${(index % 4) * 50 + 25}" y="${Math.floor(index / 4) * 50 + 30}" text-anchor="middle" font-size="14">${color.code}</text>`
+  );
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="${Math.ceil(palette.length / 4) * 50}">${cells.join('')}</svg>\n`;
+}
+
+function createMockPdf(text) {
+  const content = `BT /F1 18 Tf 72 720 Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+async function main() {
+  const options = parseCliOptions(process.argv.slice(2));
+  const transport = options.transport ?? CONFIG.transport;
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unsupported transport "${transport}". Use one of: ${TRANSPORTS.join(', ')}.`);
+  }
+  if (!CREDIT_OVER_BUDGET_MODES.includes(CONFIG.credits.overBudget)) {
+    throw new Error(
+      `Unsupported MCP_CREDIT_OVER_BUDGET "${CONFIG.credits.overBudget}". Use one of: ${CREDIT_OVER_BUDGET_MODES.join(', ')}.`
+    );
+  }
+
+  const openApiSpec = options.openApiSpec ?? CONFIG.openApiSpec;
+  if (openApiSpec) {
+    try {
+      await importOpenApiRoutes(openApiSpec);
+    } catch (error) {
+      // The built-in routes still work, so a missing or broken spec only costs the extra routes.
+      console.error(`[${SERVER_INFO.name}] Could not import OpenAPI routes from ${openApiSpec}: ${error.message}`);
+    }
+  }
+
+  if (options.exportOpenApi) {
+    const json = `${JSON.stringify(buildOpenApiDocument(), null, 2)}\n`;
+    if (options.exportOpenApi === '-') {
+      process.stdout.write(json);
+    } else {
+      await writeFile(resolve(options.exportOpenApi), json);
+      console.error(`[${SERVER_INFO.name}] Wrote OpenAPI document for ${API_ROUTES.length} routes to ${resolve(options.exportOpenApi)}.`);
+    }
+    return;
+  }
+
+  if (options.mock) {
+    const mock = createMockBackend();
+    CONFIG.baseUrl = await mock.listen();
+    // The mock never accepts real tokens, and its items should not end up in the real job history.
+    CONFIG.defaultToken = MOCK_API_TOKEN;
+    CONFIG.profileTokens = {};
+    // The mock token is not a real credential, so HTTP clients of the mock may share it.
+    CONFIG.http.shareCredentials = true;
+    if (process.env.MCP_JOB_HISTORY_FILE === undefined) {
+      jobStore = createJobStore(join(homedir(), '.mimi-panda-mcp', 'mock-jobs.json'));
+    }
+    // Mock calls spend no real credits, so they only count against the daily budget while the server runs.
+    if (process.env.MCP_CREDIT_LEDGER_FILE === undefined) {
+      creditLedger = createCreditLedger(null);
+    }
+    console.error(`[${SERVER_INFO.name}] Using the offline mock backend at ${CONFIG.baseUrl}; log in as ${MOCK_CREDENTIALS.email} / ${MOCK_CREDENTIALS.password}.`);
+  }
+
+  if (transport === 'http') {
+    await startHttpServer({
+      host: options.host ?? CONFIG.http.host,
+      port: options.port ?? CONFIG.http.port,
+      authToken: CONFIG.http.authToken
+    });
+    return;
+  }
+
+  const server = createMcpServer(createSession());
+  await server.connect(new StdioServerTransport());
+  console.error(formatStartupBanner());
+}
+
+export {
+  API_ROUTES,
+  CONFIG,
+  buildOpenApiDocument,
+  buildUrl,
+  callApi,
+  createCreditLedger,
+  createJobStore,
+  createMcpServer,
+  createMockBackend,
+  createSession,
+  estimateCreditCost,
+  headersToObject,
+  importOpenApiRoutes,
+  isBinaryContentType,
+  jsonSchemaToZod,
+  main,
+  normalizeApiPrefix,
+  normalizeRelativePath,
+  openApiToRoutes,
+  parseAllowedPaths,
+  parsePalette,
+  startHttpServer,
+  summarizeSchema,
+  toJsonSchema
+};
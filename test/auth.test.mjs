@@ -0,0 +1,47 @@
+import './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, callApi, createSession } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+describe('auth actions', () => {
+  let standIn;
+
+  before(async () => {
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.url.endsWith('/user/me') ? { id: 2, email: 'other@example.com', credits: 5 } : { message: 'All tokens were revoked.' }));
+    });
+  });
+
+  after(() => standIn.close());
+
+  test('logout clears the stored token it was sent with', async () => {
+    const session = createSession();
+
+    await callApi({ method: 'POST', path: 'user/logout' }, session);
+
+    assert.equal(session.credentials.getToken(), null);
+  });
+
+  test('logout with an explicit token leaves the stored profile signed in', async () => {
+    const session = createSession();
+
+    await callApi({ method: 'POST', path: 'user/logout', token: 'Bearer someone-else' }, session);
+
+    assert.equal(session.credentials.getToken(), 'test-token');
+    assert.equal(standIn.requests.at(-1).headers.authorization, 'Bearer someone-else');
+  });
+
+  test('user/me with an explicit token does not overwrite the stored account', async () => {
+    const session = createSession();
+
+    await callApi({ path: 'user/me', token: 'someone-else' }, session);
+    assert.equal(session.credentials.list()[0].account, null);
+
+    await callApi({ path: 'user/me', token: 'Bearer test-token' }, session);
+    assert.equal(session.credentials.list()[0].account.email, 'other@example.com');
+  });
+});
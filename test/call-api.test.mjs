@@ -0,0 +1,113 @@
+import './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, callApi, createSession, headersToObject, isBinaryContentType } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+describe('headersToObject', () => {
+  test('masks credentials and keeps everything else', () => {
+    const headers = new Headers({
+      Authorization: 'Bearer secret',
+      'X-Api-Key': 'secret',
+      Accept: 'application/json'
+    });
+    assert.deepEqual(headersToObject(headers), {
+      accept: 'application/json',
+      authorization: '***',
+      'x-api-key': '***'
+    });
+  });
+});
+
+describe('isBinaryContentType', () => {
+  test('treats images, PDFs and archives as binary', () => {
+    for (const type of ['image/png', 'IMAGE/JPEG; charset=binary', 'application/pdf', 'application/zip', 'application/octet-stream']) {
+      assert.equal(isBinaryContentType(type), true, type);
+    }
+  });
+
+  test('treats SVG, JSON and text as text', () => {
+    for (const type of ['image/svg+xml', 'application/json; charset=utf-8', 'text/csv', '']) {
+      assert.equal(isBinaryContentType(type), false, type);
+    }
+  });
+});
+
+describe('callApi', () => {
+  let standIn;
+  let session;
+
+  before(async () => {
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+    session = createSession();
+  });
+
+  after(() => standIn.close());
+
+  test('sends the token and query, and masks the token in the result', async () => {
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+
+    const result = await callApi(
+      { path: '/api/status', query: { tags: ['a', 'b'], verbose: true }, skipValidation: true },
+      session
+    );
+
+    const request = standIn.requests.at(-1);
+    assert.equal(request.path, '/api/status');
+    assert.deepEqual(request.query.getAll('tags'), ['a', 'b']);
+    assert.equal(request.query.get('verbose'), '1');
+    assert.equal(request.headers.authorization, 'Bearer test-token');
+
+    assert.equal(result.request.path, '/status');
+    assert.equal(result.request.headers.authorization, '***');
+    assert.deepEqual(result.response.body, { ok: true });
+    assert.equal(result.response.isBinary, false);
+  });
+
+  test('returns binary bodies as base64 when nothing is saved to disk', async () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(bytes);
+    });
+
+    const result = await callApi({ path: '/preview', saveToDisk: false, skipValidation: true }, session);
+
+    assert.equal(result.response.isBinary, true);
+    assert.equal(result.response.body, null);
+    assert.equal(result.response.rawText, bytes.toString('base64'));
+  });
+
+  test('accepts numeric query values sent as strings', async () => {
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    });
+    const path = '/service/item/7d8c5f38-3f5c-4c2a-9a51-8d1a6a0c2b11/pbn/download/pbnpng';
+
+    const result = await callApi({ path, query: { width: '800', height: 600 }, saveToDisk: false }, session);
+
+    assert.equal(result.request.url, `${standIn.url}/api${path}?width=800&height=600`);
+    await assert.rejects(
+      callApi({ path, query: { width: 'wide' }, saveToDisk: false }, session),
+      /does not match the GET \/service\/item\/\{uuid\}\/pbn\/download\/\{type\} input schema/
+    );
+  });
+
+  test('aborts requests that outlive the timeout', async () => {
+    const pending = [];
+    standIn.respond((req, res) => {
+      pending.push(res);
+    });
+
+    await assert.rejects(
+      callApi({ path: '/slow', timeoutMs: 1000, skipValidation: true }, session),
+      /Request exceeded timeout of 1000ms/
+    );
+    pending.forEach((res) => res.destroy());
+  });
+});
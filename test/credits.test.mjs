@@ -0,0 +1,201 @@
+import './helpers/env.mjs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { API_ROUTES, CONFIG, callApi, createCreditLedger, createSession, estimateCreditCost } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+const findRoute = (path) => API_ROUTES.find((route) => route.method === 'POST' && route.path === path);
+const createPbn = (session) => callApi({ method: 'POST', path: '/service/pbn', body: { prompt: 'a cat on a mat' } }, session);
+const defaults = { ...CONFIG.credits };
+
+describe('estimateCreditCost', () => {
+  beforeEach(() => {
+    CONFIG.credits = { ...defaults };
+  });
+
+  test('prices creation routes and leaves other routes free', () => {
+    assert.equal(estimateCreditCost(findRoute('service/pbn')), 1);
+    assert.equal(estimateCreditCost(findRoute('service/color/mix')), 0);
+    assert.equal(estimateCreditCost(null), 0);
+  });
+
+  test('adds parameter extras and lets tool names override route keys', () => {
+    CONFIG.credits.costs = {
+      ...defaults.costs,
+      upscale_image: { base: 2, params: { upscale: { 4: 3 } } }
+    };
+    const upscale = findRoute('service/image/upscale');
+
+    assert.equal(estimateCreditCost(upscale, { upscale: 2 }), 2);
+    assert.equal(estimateCreditCost(upscale, { upscale: 4 }), 5);
+  });
+});
+
+describe('credit ledger', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mcp-credits-'));
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('keeps today\'s spending across restarts and drops past days', async () => {
+    const file = join(dir, 'credits.json');
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    await writeFile(file, JSON.stringify({ version: 1, days: { '2000-01-01': 40, [today]: 3 } }));
+
+    const ledger = createCreditLedger(file);
+    assert.equal(ledger.spentToday(), 3);
+
+    ledger.reserve(2);
+    ledger.release(ledger.reserve(5));
+    assert.equal(ledger.spentToday(), 5);
+    await ledger.flush();
+
+    assert.deepEqual(JSON.parse(await readFile(file, 'utf8')).days, { [today]: 5 });
+    assert.equal(createCreditLedger(file).spentToday(), 5);
+  });
+});
+
+describe('credit guard', () => {
+  let standIn;
+  let balance;
+
+  before(async () => {
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+  });
+
+  after(() => standIn.close());
+
+  beforeEach(() => {
+    CONFIG.credits = { ...defaults };
+    balance = 100;
+    standIn.requests.length = 0;
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(req.url.endsWith('/user/me') ? { id: 1, credits: balance } : { key: 'k', status: 'pending', created: 'now' }));
+    });
+  });
+
+  const creationRequests = () => standIn.requests.filter((request) => request.path === '/api/service/pbn');
+
+  test('checks the balance before spending', async () => {
+    balance = 0;
+
+    await assert.rejects(createPbn(createSession()), /costs 1 credit but the balance is 0/);
+    assert.equal(creationRequests().length, 0);
+  });
+
+  test('refuses calls over the session budget without sending them', async () => {
+    CONFIG.credits.sessionBudget = 1;
+    CONFIG.credits.overBudget = 'refuse';
+    const session = createSession();
+
+    await createPbn(session);
+    await assert.rejects(createPbn(session), /would exceed the session budget \(1 of 1 credits spent\)/);
+    assert.equal(creationRequests().length, 1);
+    assert.equal(session.creditsSpent, 1);
+  });
+
+  test('reserves credits before any await so parallel calls cannot overshoot the budget', async () => {
+    CONFIG.credits.sessionBudget = 1;
+    CONFIG.credits.overBudget = 'refuse';
+    const session = createSession();
+
+    const results = await Promise.allSettled([createPbn(session), createPbn(session), createPbn(session)]);
+
+    assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected', 'rejected']);
+    assert.equal(creationRequests().length, 1);
+    assert.equal(session.creditsSpent, 1);
+  });
+
+  test('gives the reservation back when the balance check fails', async () => {
+    CONFIG.credits.sessionBudget = 5;
+    balance = 0;
+    const session = createSession();
+
+    await assert.rejects(createPbn(session), /balance is 0/);
+    assert.equal(session.creditsSpent, 0);
+  });
+
+  test('asks for confirmation when the client supports it', async () => {
+    CONFIG.credits.sessionBudget = 0;
+    const session = createSession();
+    const prompts = [];
+    session.confirm = async (message) => {
+      prompts.push(message);
+      return prompts.length === 1;
+    };
+
+    await createPbn(session);
+    await assert.rejects(createPbn(session), /The user declined/);
+    assert.equal(prompts.length, 2);
+    assert.equal(creationRequests().length, 1);
+  });
+
+  test('asks once when MCP_CONFIRM and a budget overrun both need confirmation', async () => {
+    CONFIG.credits.sessionBudget = 0;
+    const confirm = CONFIG.confirm;
+    CONFIG.confirm = ['credits'];
+    const session = createSession();
+    const prompts = [];
+    session.confirm = async (message) => {
+      prompts.push(message);
+      return true;
+    };
+
+    try {
+      await createPbn(session);
+    } finally {
+      CONFIG.confirm = confirm;
+    }
+
+    assert.deepEqual(prompts, [
+      'POST /service/pbn spends 1 credit and would exceed the session budget (0 of 0 credits spent). Send it?'
+    ]);
+    assert.equal(creationRequests().length, 1);
+  });
+
+  test('refuses when nobody can confirm', async () => {
+    CONFIG.credits.sessionBudget = 0;
+
+    await assert.rejects(createPbn(createSession()), /cannot ask the user to confirm/);
+  });
+
+  test('gives the credits back when the backend rejects the request', async () => {
+    CONFIG.credits.sessionBudget = 1;
+    const session = createSession();
+    standIn.respond((req, res) => {
+      const isBalance = req.url.endsWith('/user/me');
+      res.writeHead(isBalance ? 200 : 422, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(isBalance ? { credits: balance } : { message: 'Invalid prompt.' }));
+    });
+
+    const result = await createPbn(session);
+
+    assert.equal(result.response.status, 422);
+    assert.equal(session.creditsSpent, 0);
+  });
+
+  test('gives the credits back when the request gets no response', async () => {
+    CONFIG.credits.sessionBudget = 1;
+    const session = createSession();
+    standIn.respond((req, res) => {
+      if (!req.url.endsWith('/user/me')) {
+        req.socket.destroy();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ credits: balance }));
+    });
+
+    await assert.rejects(createPbn(session), /fetch failed/);
+    assert.equal(session.creditsSpent, 0);
+  });
+});
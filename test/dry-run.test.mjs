@@ -0,0 +1,84 @@
+import './helpers/env.mjs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, callApi, createSession } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+const createPbn = (session, options = {}) =>
+  callApi({ method: 'POST', path: '/service/pbn', body: { prompt: 'a cat on a mat' }, ...options }, session);
+const logout = (session) => callApi({ method: 'POST', path: '/user/logout' }, session);
+const defaults = { credits: { ...CONFIG.credits }, confirm: CONFIG.confirm };
+
+describe('dry runs and confirmation', () => {
+  let standIn;
+
+  before(async () => {
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+  });
+
+  after(() => standIn.close());
+
+  beforeEach(() => {
+    CONFIG.credits = { ...defaults.credits, checkBalance: false };
+    CONFIG.confirm = defaults.confirm;
+    standIn.requests.length = 0;
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ key: 'k', status: 'pending', created: 'now' }));
+    });
+  });
+
+  test('returns the built request without sending it', async () => {
+    const session = createSession();
+    const result = await callApi(
+      { method: 'POST', path: '/auth/login', body: { email: 'ada@example.com', password: 'secret' }, dryRun: true },
+      session
+    );
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.response, null);
+    assert.equal(result.request.url, `${standIn.url}/api/auth/login`);
+    assert.equal(result.request.headers.authorization, '***');
+    assert.deepEqual(JSON.parse(result.request.serializedBody), { email: 'ada@example.com', password: '***' });
+    assert.equal(standIn.requests.length, 0);
+  });
+
+  test('reports the credit cost without spending or asking', async () => {
+    CONFIG.confirm = ['credits'];
+    const session = createSession();
+    session.confirm = async () => assert.fail('a dry run must not ask for confirmation');
+
+    const result = await createPbn(session, { dryRun: true });
+
+    assert.equal(result.request.creditCost, 1);
+    assert.equal(session.creditsSpent, 0);
+    assert.equal(standIn.requests.length, 0);
+  });
+
+  test('sends credit-spending requests only after the user confirms', async () => {
+    CONFIG.confirm = ['credits'];
+    const session = createSession();
+    const prompts = [];
+    session.confirm = async (message) => {
+      prompts.push(message);
+      return prompts.length === 1;
+    };
+
+    const result = await createPbn(session);
+    await assert.rejects(createPbn(session), /spends 1 credit\. The user declined/);
+
+    assert.equal(result.dryRun, false);
+    assert.equal(prompts.length, 2);
+    assert.equal(standIn.requests.length, 1);
+    assert.equal(session.creditsSpent, 1);
+  });
+
+  test('asks before destructive routes and refuses when nobody can confirm', async () => {
+    CONFIG.confirm = ['destructive'];
+
+    await assert.rejects(logout(createSession()), /POST \/user\/logout changes or removes data\. MCP_CONFIRM requires confirmation/);
+    await createPbn(createSession());
+    assert.deepEqual(standIn.requests.map((request) => request.path), ['/api/service/pbn']);
+  });
+});
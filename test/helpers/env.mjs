@@ -0,0 +1,25 @@
+// Imported before src/server.mjs, which reads its configuration once at load time.
+// Values set here win over a developer's .env because dotenv never overrides existing variables.
+Object.assign(process.env, {
+  MCP_API_BASE_URL: 'http://127.0.0.1',
+  MCP_API_PREFIX: '/api',
+  MCP_API_TOKEN: 'test-token',
+  MCP_API_HEADERS: '',
+  MCP_API_PROFILES: '',
+  MCP_API_MAX_RETRIES: '0',
+  MCP_DOWNLOAD_DIR: '',
+  MCP_JOB_HISTORY_FILE: 'off',
+  MCP_CREDIT_COSTS: '',
+  MCP_CREDIT_SESSION_BUDGET: '',
+  MCP_CREDIT_DAILY_BUDGET: '',
+  MCP_CREDIT_OVER_BUDGET: '',
+  MCP_CREDIT_CHECK_BALANCE: '',
+  MCP_CREDIT_LEDGER_FILE: 'off',
+  MCP_CONFIRM: '',
+  MCP_STRICT_MODE: '',
+  MCP_ALLOWED_PATHS: '',
+  MCP_HTTP_SHARE_CREDENTIALS: '',
+  MCP_HTTP_FILE_ROOT: '',
+  MCP_HTTP_ALLOWED_HOSTS: '',
+  MCP_HTTP_ALLOWED_ORIGINS: ''
+});
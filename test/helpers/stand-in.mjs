@@ -0,0 +1,43 @@
+import { createServer } from 'node:http';
+
+/**
+ * Local HTTP stand-in for the Mimi Panda API. Every request is recorded, and the
+ * current responder decides the reply, so each test can script the backend it needs.
+ */
+export async function startStandIn() {
+  const requests = [];
+  let responder = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  };
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stand-in');
+      requests.push({
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      });
+      responder(req, res);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    respond(handler) {
+      responder = handler;
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CONFIG, startHttpServer } from '../src/server.mjs';
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '0' } }
+};
+
+function post(port, headers) {
+  return new Promise((resolve, reject) => {
+    const req = request(
+      {
+        host: '127.0.0.1',
+        port,
+        path: '/mcp',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers }
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      }
+    );
+    req.on('error', reject);
+    req.end(JSON.stringify(initialize));
+  });
+}
+
+const sessionCount = async (port) => (await (await fetch(`http://127.0.0.1:${port}/health`)).json()).sessions;
+
+describe('HTTP transport', () => {
+  let httpServer;
+  let port;
+  let fileRoot;
+
+  before(async () => {
+    fileRoot = await mkdtemp(join(tmpdir(), 'mcp-http-'));
+    await writeFile(join(fileRoot, 'palette.csv'), 'code,name,hex\n1,Red,#ff0000\n');
+    CONFIG.http.fileRoot = fileRoot;
+    httpServer = await startHttpServer({ host: '127.0.0.1', port: 0, sessionTtlMs: 200 });
+    port = httpServer.address().port;
+  });
+
+  after(async () => {
+    httpServer.closeAllConnections();
+    await new Promise((resolve) => httpServer.close(resolve));
+    CONFIG.http.fileRoot = null;
+    await rm(fileRoot, { recursive: true, force: true });
+  });
+
+  test('rejects requests for another Host or a foreign Origin before creating a session', async () => {
+    assert.equal((await post(port, { Host: `evil.example:${port}` })).statusCode, 403);
+    assert.equal((await post(port, { Origin: 'http://evil.example' })).statusCode, 403);
+    assert.equal(await sessionCount(port), 0);
+  });
+
+  test('expires idle sessions', async () => {
+    const response = await post(port, {});
+    assert.equal(response.statusCode, 200);
+    assert.equal(await sessionCount(port), 1);
+
+    await new Promise((resolve) => setTimeout(resolve, 600));
+
+    assert.equal(await sessionCount(port), 0);
+  });
+
+  test('does not hand out the operator token and confines local files to MCP_HTTP_FILE_ROOT', async () => {
+    const client = new Client({ name: 'test', version: '0' });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`http://127.0.0.1:${port}/mcp`)));
+    try {
+      const profiles = await client.callTool({ name: 'list_auth_profiles', arguments: {} });
+      assert.equal(profiles.structuredContent.profiles[0].authenticated, false);
+
+      const inside = await client.callTool({ name: 'parse_palette', arguments: { path: 'palette.csv' } });
+      assert.equal(inside.structuredContent.colors[0].hex, 'ff0000');
+
+      const outside = await client.callTool({ name: 'parse_palette', arguments: { path: '../../etc/passwd' } });
+      assert.equal(outside.isError, true);
+      assert.match(outside.content[0].text, /path must be inside MCP_HTTP_FILE_ROOT/);
+
+      const upload = await client.callTool({
+        name: 'call_api',
+        arguments: { method: 'POST', path: 'service/pbn', files: { image: { path: '/etc/hostname' } }, dryRun: true }
+      });
+      assert.match(upload.content[0].text, /files\.image\.path must be inside MCP_HTTP_FILE_ROOT/);
+    } finally {
+      await client.close();
+    }
+  });
+});
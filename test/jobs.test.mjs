@@ -0,0 +1,87 @@
+import './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CONFIG, callApi, createJobStore, createSession } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+const KEY = '7d8c5f38-3f5c-4c2a-9a51-8d1a6a0c2b11';
+
+describe('job history', () => {
+  let standIn;
+  let dir;
+  let status;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mcp-jobs-'));
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ key: KEY, status, created: '2026-01-01T00:00:00Z' }));
+    });
+  });
+
+  after(async () => {
+    await standIn.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('rewrites the file only when a polled job changes', async () => {
+    const file = join(dir, 'jobs.json');
+    const session = createSession({ jobs: createJobStore(file) });
+    status = 'pending';
+    await callApi({ method: 'POST', path: 'service/pbn', body: { prompt: 'a cat on a mat' } }, session);
+    const written = (await stat(file)).mtimeMs;
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    for (let poll = 0; poll < 3; poll += 1) {
+      await callApi({ path: `service/item/${KEY}` }, session);
+    }
+    assert.equal((await stat(file)).mtimeMs, written);
+
+    status = 'ready';
+    await callApi({ path: `service/item/${KEY}` }, session);
+    assert.equal((await session.jobs.get(KEY)).status, 'ready');
+    assert.notEqual((await stat(file)).mtimeMs, written);
+  });
+
+  test('picks up jobs another process wrote to the file', async () => {
+    const file = join(dir, 'shared.json');
+    const store = createJobStore(file);
+    assert.deepEqual(await store.list(), []);
+
+    await writeFile(file, JSON.stringify({ version: 1, jobs: [{ key: 'other', status: 'ready' }] }));
+
+    assert.deepEqual((await store.list()).map((job) => job.key), ['other']);
+  });
+
+  test('picks up a same-size rewrite by another process and hands out copies', async () => {
+    const file = join(dir, 'copies.json');
+    const store = createJobStore(file);
+    await store.record({ key: 'mine', status: 'ready' });
+
+    const listed = await store.list();
+    listed[0].status = 'mutated';
+    assert.equal((await store.get('mine')).status, 'ready');
+
+    const tempPath = `${file}.other.tmp`;
+    await writeFile(tempPath, (await readFile(file, 'utf8')).replace('"ready"', '"stale"'));
+    await rename(tempPath, file);
+
+    assert.equal((await store.get('mine')).status, 'stale');
+  });
+
+  test('keeps in-memory histories apart', async () => {
+    status = 'pending';
+    const first = createSession({ jobs: createJobStore(null, { inMemory: true }) });
+    const second = createSession({ jobs: createJobStore(null, { inMemory: true }) });
+
+    await callApi({ method: 'POST', path: 'service/pbn', body: { prompt: 'a cat on a mat' } }, first);
+
+    assert.equal((await first.jobs.list()).length, 1);
+    assert.deepEqual(await second.jobs.list(), []);
+  });
+});
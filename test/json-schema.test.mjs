@@ -0,0 +1,104 @@
+import './helpers/env.mjs';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { API_ROUTES, toJsonSchema } from '../src/server.mjs';
+
+const findRoute = (method, path) => API_ROUTES.find((route) => route.method === method && route.path === path);
+
+describe('toJsonSchema', () => {
+  test('declares the draft 2020-12 dialect', () => {
+    assert.equal(toJsonSchema(z.string()).$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assert.equal(toJsonSchema(undefined), null);
+  });
+
+  test('keeps numeric bounds, string lengths, patterns and formats', () => {
+    const schema = toJsonSchema(
+      z.object({
+        count: z.number().int().min(7).max(100),
+        ratio: z.number().gt(0).lt(1).multipleOf(0.1),
+        name: z.string().min(3).max(600),
+        hex: z.string().regex(/^#?[0-9a-fA-F]{6}$/),
+        email: z.string().email()
+      })
+    );
+
+    assert.deepEqual(schema.properties.count, { type: 'integer', minimum: 7, maximum: 100 });
+    assert.deepEqual(schema.properties.ratio, { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1, multipleOf: 0.1 });
+    assert.deepEqual(schema.properties.name, { type: 'string', minLength: 3, maxLength: 600 });
+    assert.equal(schema.properties.hex.pattern, '^#?[0-9a-fA-F]{6}$');
+    assert.equal(schema.properties.email.format, 'email');
+  });
+
+  test('marks required keys and keeps defaults, descriptions and nullability', () => {
+    const schema = toJsonSchema(
+      z.object({
+        id: z.string().describe('Identifier'),
+        mode: z.enum(['fast', 'slow']).default('fast'),
+        note: z.string().nullable().optional().describe('Free text')
+      })
+    );
+
+    assert.deepEqual(schema.required, ['id']);
+    assert.deepEqual(schema.properties.id, { type: 'string', description: 'Identifier' });
+    assert.deepEqual(schema.properties.mode, { type: 'string', enum: ['fast', 'slow'], default: 'fast' });
+    assert.deepEqual(schema.properties.note, { type: ['string', 'null'], description: 'Free text' });
+  });
+
+  test('maps unions, tuples and records', () => {
+    const schema = toJsonSchema(
+      z.object({
+        area: z.union([z.literal('auto'), z.number().min(0)]),
+        rgb: z.tuple([z.number(), z.number(), z.number()]),
+        tags: z.record(z.string())
+      })
+    );
+
+    assert.deepEqual(schema.properties.area.anyOf, [
+      { type: 'string', const: 'auto' },
+      { type: 'number', minimum: 0 }
+    ]);
+    assert.equal(schema.properties.rgb.prefixItems.length, 3);
+    assert.equal(schema.properties.rgb.items, false);
+    assert.deepEqual(schema.properties.tags.additionalProperties, { type: 'string' });
+  });
+
+  test('references recursive lazies through $defs', () => {
+    const Node = z.lazy(() => z.object({ label: z.string(), children: z.array(Node).optional() }));
+
+    const schema = toJsonSchema(Node);
+
+    assert.equal(schema.$ref, '#/$defs/Lazy1');
+    assert.deepEqual(schema.$defs.Lazy1.properties.children.items, { $ref: '#/$defs/Lazy1' });
+  });
+
+  test('carries route refinement rules', () => {
+    const pbn = toJsonSchema(findRoute('POST', 'service/pbn').inputSchema);
+    assert.deepEqual(pbn.anyOf, [{ required: ['image'] }, { required: ['prompt'] }]);
+    assert.deepEqual(pbn['x-refinements'], ['Provide either image or prompt.']);
+    assert.deepEqual(pbn.properties.numberOfColors, {
+      type: 'integer',
+      minimum: 7,
+      maximum: 100,
+      description: pbn.properties.numberOfColors.description
+    });
+    assert.equal(pbn.properties.minArea.anyOf[1].multipleOf, 0.1);
+    assert.deepEqual(pbn.properties.minArea.anyOf[1]['x-refinements'], ['Must be in 0.1 increments.']);
+  });
+
+  test('keeps the 0.1-step check on minArea', () => {
+    const { inputSchema } = findRoute('POST', 'service/pbn');
+    assert.equal(inputSchema.safeParse({ prompt: 'a cat', minArea: 1.5 }).success, true);
+    assert.equal(inputSchema.safeParse({ prompt: 'a cat', minArea: 1.55 }).success, false);
+  });
+
+  test('describes transforms by the input they accept', () => {
+    const schema = toJsonSchema(z.string().trim().transform(Number).describe('Numeric string'));
+
+    assert.deepEqual(schema, {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      type: 'string',
+      description: 'Numeric string'
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import './helpers/env.mjs';
+import { after, afterEach, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, createMockBackend } from '../src/server.mjs';
+
+const AUTH = { Authorization: 'Bearer mock-token' };
+
+describe('mock backend', () => {
+  let mock;
+  const apiPrefix = CONFIG.apiPrefix;
+
+  before(async () => {
+    mock = createMockBackend();
+    await mock.listen();
+  });
+
+  after(() => mock.close());
+
+  afterEach(() => {
+    CONFIG.apiPrefix = apiPrefix;
+  });
+
+  test('answers a malformed path escape instead of crashing', async () => {
+    const response = await fetch(`${mock.url}/api/service/item/%zz`, { headers: AUTH });
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { message: 'Item not found.' });
+
+    const me = await fetch(`${mock.url}/api/user/me`, { headers: AUTH });
+    assert.equal(me.status, 200);
+  });
+
+  test('serves routes from the root when the API prefix is /', async () => {
+    CONFIG.apiPrefix = '/';
+
+    const response = await fetch(`${mock.url}/user/me`, { headers: AUTH });
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).email, 'demo@mimipanda.test');
+  });
+});
@@ -0,0 +1,183 @@
+import './helpers/env.mjs';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  API_ROUTES,
+  CONFIG,
+  buildOpenApiDocument,
+  callApi,
+  createSession,
+  importOpenApiRoutes,
+  jsonSchemaToZod,
+  openApiToRoutes
+} from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+const SPEC = {
+  openapi: '3.0.3',
+  servers: [{ url: 'https://example.test/api' }],
+  security: [{ bearer: [] }],
+  components: {
+    schemas: {
+      Tag: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 2 },
+          children: { type: 'array', items: { $ref: '#/components/schemas/Tag' } }
+        }
+      }
+    }
+  },
+  paths: {
+    '/service/tags': {
+      post: {
+        summary: 'Create a tag.',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Tag' } } } },
+        responses: { 201: { description: 'Created.' } }
+      }
+    },
+    '/service/item/{uuid}/sticker': {
+      post: {
+        summary: 'Render a sticker.',
+        security: [],
+        parameters: [{ name: 'uuid', in: 'path', required: true, schema: { type: 'string' } }],
+        requestBody: {
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['image'],
+                properties: { image: { type: 'string', format: 'binary' }, size: { type: 'integer', enum: [1, 2, 3] } }
+              }
+            }
+          }
+        },
+        responses: { 200: { description: 'Sticker.', content: { 'image/png': {} } } }
+      }
+    },
+    '/service/pbn': {
+      post: { summary: 'Already declared.', responses: {} }
+    }
+  }
+};
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument();
+
+  test('describes every route as an OpenAPI 3.1 operation', () => {
+    assert.equal(document.openapi, '3.1.0');
+    assert.equal(document.servers[0].url, 'http://127.0.0.1/api');
+    const operations = Object.values(document.paths).flatMap((item) => Object.keys(item));
+    assert.equal(operations.length, API_ROUTES.length);
+  });
+
+  test('sends GET inputs as parameters and keeps path templates', () => {
+    const operation = document.paths['/service/item/{uuid}/pbn/download/{type}'].get;
+
+    assert.equal(operation.operationId, 'download_pbn');
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.deepEqual(
+      operation.parameters.filter((parameter) => parameter.in === 'path').map((parameter) => parameter.name),
+      ['uuid', 'type']
+    );
+    assert.ok(operation.parameters.some((parameter) => parameter.in === 'query'));
+    assert.equal(operation.requestBody, undefined);
+    assert.ok(operation.responses[200].content['application/octet-stream']);
+  });
+
+  test('keeps body constraints and offers multipart for upload fields', () => {
+    const operation = document.paths['/service/pbn'].post;
+    const json = operation.requestBody.content['application/json'].schema;
+
+    assert.deepEqual(json.anyOf, [{ required: ['image'] }, { required: ['prompt'] }]);
+    assert.equal(json.properties.numberOfColors.minimum, 7);
+    assert.equal(
+      operation.requestBody.content['multipart/form-data'].schema.properties.image.contentMediaType,
+      'application/octet-stream'
+    );
+  });
+
+  test('round-trips through openApiToRoutes', () => {
+    const routes = openApiToRoutes(document);
+    const pbn = routes.find((route) => route.method === 'POST' && route.path === 'service/pbn');
+
+    assert.deepEqual(
+      routes.map((route) => `${route.method} ${route.path}`).sort(),
+      API_ROUTES.map((route) => `${route.method} ${route.path}`).sort()
+    );
+    assert.deepEqual(pbn.uploadFields, ['image']);
+    assert.equal(pbn.inputSchema.safeParse({ image: 'https://example.test/cat.png', numberOfColors: 20 }).success, true);
+    assert.equal(pbn.inputSchema.safeParse({ image: 'https://example.test/cat.png', numberOfColors: 3 }).success, false);
+  });
+});
+
+describe('jsonSchemaToZod', () => {
+  test('maps OpenAPI 3.0 nullable and exclusive bounds', () => {
+    const schema = jsonSchemaToZod({
+      type: 'object',
+      required: ['count'],
+      properties: {
+        count: { type: 'integer', minimum: 0, exclusiveMinimum: true },
+        note: { type: 'string', nullable: true }
+      }
+    });
+
+    assert.equal(schema.safeParse({ count: 1, note: null }).success, true);
+    assert.equal(schema.safeParse({ count: 0 }).success, false);
+    assert.equal(schema.safeParse({ note: 'x' }).success, false);
+  });
+
+  test('resolves recursive references', () => {
+    const schema = jsonSchemaToZod({ $ref: '#/components/schemas/Tag' }, SPEC);
+
+    assert.equal(schema.safeParse({ name: 'aa', children: [{ name: 'bb' }] }).success, true);
+    assert.equal(schema.safeParse({ name: 'aa', children: [{ name: 'b' }] }).success, false);
+  });
+});
+
+describe('importOpenApiRoutes', () => {
+  let directory;
+  let standIn;
+  let imported;
+  const session = createSession();
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'mimi-openapi-'));
+    const specPath = join(directory, 'spec.json');
+    await writeFile(specPath, JSON.stringify(SPEC));
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+    imported = await importOpenApiRoutes(specPath);
+  });
+
+  after(async () => {
+    await standIn.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('adds new operations and keeps curated routes', () => {
+    assert.deepEqual(
+      imported.map((route) => `${route.method} ${route.path}`),
+      ['POST service/tags', 'POST service/item/{uuid}/sticker']
+    );
+    const sticker = imported[1];
+    assert.equal(sticker.authRequired, false);
+    assert.equal(sticker.fileDownload, true);
+    assert.deepEqual(sticker.uploadFields, ['image']);
+    assert.equal(API_ROUTES.filter((route) => route.path === 'service/pbn').length, 1);
+  });
+
+  test('validates call_api requests against imported routes', async () => {
+    await assert.rejects(
+      callApi({ method: 'POST', path: '/service/tags', body: { name: 'x' } }, session),
+      /does not match the POST \/service\/tags input schema/
+    );
+
+    await callApi({ method: 'POST', path: '/service/tags', body: { name: 'cats' } }, session);
+    assert.equal(standIn.requests.at(-1).path, '/api/service/tags');
+  });
+});
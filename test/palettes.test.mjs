@@ -0,0 +1,106 @@
+import './helpers/env.mjs';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { parsePalette } from '../src/server.mjs';
+
+// Minimal deflate zip writer: parsePalette does not check CRCs, so they are left at zero.
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, data] of files) {
+    const nameBuffer = Buffer.from(name);
+    const compressed = deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += 30 + nameBuffer.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const swatches = (name, hue) =>
+  zip([['Swatches.json', Buffer.from(JSON.stringify([{ name, swatches: [{ hue, saturation: 1, brightness: 1 }] }]))]]);
+
+describe('Procreate palette archives', () => {
+  test('reads a zip bundle of .swatches files', () => {
+    const palette = parsePalette(zip([['Palette 1.swatches', swatches('Palette 1/2', 0)], ['Palette 2.swatches', swatches('Palette 2/2', 0.5)]]), {
+      format: 'swatches'
+    });
+
+    assert.deepEqual(palette.colors.map((color) => color.hex), ['ff0000', '00ffff']);
+  });
+
+  test('stops inflating past the size limit', () => {
+    const bomb = zip([['Swatches.json', Buffer.alloc(30 * 1024 * 1024)]]);
+
+    assert.ok(bomb.length < 100 * 1024);
+    assert.throws(() => parsePalette(bomb, { format: 'swatches' }), /expands to more than 25\.0MB/);
+  });
+
+  test('counts nested archives against the same limit', () => {
+    const part = zip([['Swatches.json', Buffer.alloc(10 * 1024 * 1024)]]);
+    const bundle = zip([1, 2, 3].map((index) => [`Palette ${index}.swatches`, part]));
+
+    assert.throws(() => parsePalette(bundle, { format: 'swatches' }), /expands to more than 25\.0MB/);
+  });
+
+  test('refuses archives with too many entries', () => {
+    const crowded = zip(Array.from({ length: 300 }, (_, index) => [`${index}.txt`, Buffer.from('x')]));
+
+    assert.throws(() => parsePalette(crowded, { format: 'swatches' }), /300 entries; at most 256/);
+  });
+});
+
+// One RGB swatch named "Red": name length, UTF-16BE name with terminator, model, three floats, color type.
+function ase() {
+  const label = Buffer.from('\0R\0e\0d\0\0', 'latin1');
+  const block = Buffer.alloc(2 + label.length + 4 + 12 + 2);
+  block.writeUInt16BE(4, 0);
+  label.copy(block, 2);
+  block.write('RGB ', 2 + label.length, 'latin1');
+  block.writeFloatBE(1, 6 + label.length);
+  const header = Buffer.alloc(18);
+  header.write('ASEF', 0, 'latin1');
+  header.writeUInt16BE(1, 4);
+  header.writeUInt32BE(1, 8);
+  header.writeUInt16BE(0x0001, 12);
+  header.writeUInt32BE(block.length, 14);
+  return Buffer.concat([header, block]);
+}
+
+describe('Adobe Swatch Exchange palettes', () => {
+  test('reads a swatch', () => {
+    const palette = parsePalette(ase(), { format: 'ase' });
+
+    assert.deepEqual(palette.colors.map((color) => color.hex), ['ff0000']);
+  });
+
+  test('reports a truncated file as malformed', () => {
+    const full = ase();
+
+    assert.throws(() => parsePalette(full.subarray(0, full.length - 10), { format: 'ase' }), /Malformed ASE palette: block 1 is 28 bytes long/);
+    assert.throws(() => parsePalette(full.subarray(0, 14), { format: 'ase' }), /Malformed ASE palette: the file ends after 0 of 1 blocks/);
+    assert.throws(() => parsePalette(full.subarray(0, 10), { format: 'ase' }), /Malformed ASE palette: the header is truncated/);
+  });
+});
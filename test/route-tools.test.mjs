@@ -0,0 +1,103 @@
+import './helpers/env.mjs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CONFIG, createMcpServer, createSession } from '../src/server.mjs';
+import { startStandIn } from './helpers/stand-in.mjs';
+
+const mixArgs = { colors: [{ hex: '#ff0000' }, { hex: '#0000ff' }] };
+
+describe('typed route tools', () => {
+  let standIn;
+  let client;
+
+  before(async () => {
+    standIn = await startStandIn();
+    CONFIG.baseUrl = standIn.url;
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createMcpServer(createSession()).connect(serverTransport);
+    client = new Client({ name: 'test', version: '0' });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client.close();
+    await standIn.close();
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  const respondWith = (body) =>
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+
+  test('returns the parsed response as structured content, without undeclared fields', async () => {
+    respondWith({ hex: '800080', rgb: [128, 0, 128], hsl: [300, 1, 0.25], debug: true });
+
+    const result = await client.callTool({ name: 'mix_colors', arguments: mixArgs });
+
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(result.structuredContent, { hex: '800080', rgb: [128, 0, 128], hsl: [300, 1, 0.25] });
+  });
+
+  test('reports a response that does not match the output schema as a tool error', async () => {
+    respondWith({ hex: '800080', rgb: 'purple' });
+
+    const result = await client.callTool({ name: 'mix_colors', arguments: mixArgs });
+
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent, undefined);
+    assert.match(result.content.at(-1).text, /does not match the mix_colors output schema:\n- rgb: Expected array/);
+  });
+
+  test('skips thumbnails for images over the pixel limit', async () => {
+    standIn.respond((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+      res.end('<svg xmlns="http://www.w3.org/2000/svg" width="20000" height="20000"><rect width="10" height="10"/></svg>');
+    });
+
+    const result = await client.callTool({
+      name: 'download_pbn',
+      arguments: { uuid: '7d8c5f38-3f5c-4c2a-9a51-8d1a6a0c2b11', type: 'pbn' }
+    });
+
+    assert.equal(result.isError, undefined);
+    assert.ok(result.content.every((block) => block.type !== 'image'));
+    assert.match(result.content.at(-1).text, /larger than 15000x15000px, so no thumbnail was made/);
+  });
+
+  test('stops waiting for an item as soon as a poll fails for a reason that will not go away', async () => {
+    const credits = CONFIG.credits;
+    CONFIG.credits = { ...credits, costs: { 'GET service/item/{uuid}': 1 }, sessionBudget: 0, overBudget: 'refuse' };
+    try {
+      const result = await client.callTool({
+        name: 'wait_for_item',
+        arguments: { uuid: '7d8c5f38-3f5c-4c2a-9a51-8d1a6a0c2b11', intervalMs: 1000, deadlineMs: 60000 }
+      });
+
+      assert.equal(result.isError, true);
+      assert.equal(result.structuredContent.outcome, 'failed');
+      assert.equal(result.structuredContent.attempts, 1);
+      assert.match(result.structuredContent.error, /would exceed the session budget/);
+      assert.equal(standIn.requests.length, 0);
+    } finally {
+      CONFIG.credits = credits;
+    }
+  });
+
+  test('rejects a recipe plan given both a palette and a palette file', async () => {
+    const result = await client.callTool({
+      name: 'plan_paint_recipes',
+      arguments: { palette: ['#ff0000'], paletteFile: 'palette.gpl' }
+    });
+
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /Provide exactly one of uuid, palette, or paletteFile/);
+    assert.equal(standIn.requests.length, 0);
+  });
+});
@@ -0,0 +1,81 @@
+import './helpers/env.mjs';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { summarizeSchema } from '../src/server.mjs';
+
+describe('summarizeSchema', () => {
+  test('summarizes each union option', () => {
+    const summary = summarizeSchema(z.union([z.string(), z.object({ id: z.number() })]).describe('Identifier'));
+
+    assert.equal(summary.type, 'union');
+    assert.equal(summary.description, 'Identifier');
+    assert.deepEqual(
+      summary.unionOptions.map((option) => option.type),
+      ['string', 'object']
+    );
+    assert.equal(summary.unionOptions[1].properties.id.type, 'number');
+  });
+
+  test('summarizes discriminated unions like plain ones', () => {
+    const summary = summarizeSchema(
+      z.discriminatedUnion('kind', [
+        z.object({ kind: z.literal('a') }),
+        z.object({ kind: z.literal('b'), size: z.number().optional() })
+      ])
+    );
+
+    assert.equal(summary.type, 'union');
+    assert.equal(summary.unionOptions.length, 2);
+    assert.deepEqual(summary.unionOptions[1].properties.kind.enumValues, ['b']);
+    assert.equal(summary.unionOptions[1].properties.size.optional, true);
+  });
+
+  test('unwraps a lazy schema and marks the self-reference as recursive', () => {
+    const Node = z.lazy(() =>
+      z.object({
+        label: z.string(),
+        children: z.array(Node).optional()
+      })
+    );
+
+    const summary = summarizeSchema(Node);
+
+    assert.equal(summary.type, 'object');
+    assert.equal(summary.properties.label.type, 'string');
+    assert.equal(summary.properties.children.type, 'array');
+    assert.equal(summary.properties.children.optional, true);
+    assert.equal(summary.properties.children.items.type, 'recursive');
+  });
+
+  test('terminates on recursion through a union', () => {
+    const Expression = z.lazy(() => z.union([z.number(), z.object({ add: z.array(Expression) })]));
+
+    const summary = summarizeSchema(Expression);
+
+    assert.equal(summary.type, 'union');
+    assert.equal(summary.unionOptions[1].properties.add.items.type, 'recursive');
+  });
+
+  test('summarizes refined and transformed schemas as their input type', () => {
+    const summary = summarizeSchema(
+      z.object({
+        strength: z.number().refine((value) => value > 0).describe('Effect strength'),
+        size: z.string().transform(Number).optional(),
+        mode: z.enum(['fast', 'slow']).default('fast')
+      })
+    );
+
+    assert.deepEqual(summary.properties.strength, { type: 'number', description: 'Effect strength' });
+    assert.equal(summary.properties.size.type, 'string');
+    assert.equal(summary.properties.size.optional, true);
+    assert.deepEqual(summary.properties.mode.enumValues, ['fast', 'slow']);
+  });
+
+  test('keeps the outermost description on wrapped schemas', () => {
+    const summary = summarizeSchema(z.string().describe('inner').optional().describe('outer'));
+
+    assert.equal(summary.description, 'outer');
+    assert.equal(summary.optional, true);
+  });
+});
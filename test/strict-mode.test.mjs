@@ -0,0 +1,67 @@
+import './helpers/env.mjs';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, callApi, createSession, parseAllowedPaths } from '../src/server.mjs';
+
+// Dry runs build the request without sending it, so allowed calls need no backend.
+const dryRun = (request) => callApi({ dryRun: true, ...request }, createSession());
+
+describe('request target guard', () => {
+  let logged;
+
+  beforeEach((t) => {
+    logged = t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    CONFIG.strictMode = false;
+    CONFIG.allowedPaths = [];
+  });
+
+  test('rejects path traversal, including percent-encoded segments', async () => {
+    for (const path of ['service/../../admin', '/service/%2e%2e/%2e%2e/admin', 'service/item/..%2F..%2Fadmin', 'service/./pbn']) {
+      await assert.rejects(dryRun({ path, skipValidation: true }), /"\." or "\.\." segments/, path);
+    }
+  });
+
+  test('rejects absolute URLs and host changes', async () => {
+    for (const path of ['https://evil.example/steal', '//evil.example/steal', '\\\\evil.example\\steal']) {
+      await assert.rejects(dryRun({ path, skipValidation: true }), /not a URL or another host/, path);
+    }
+  });
+
+  test('rejects Authorization and Host headers from the caller', async () => {
+    await assert.rejects(
+      dryRun({ path: 'user/me', headers: { authorization: 'Bearer stolen' } }),
+      /authorization header cannot be set/
+    );
+    await assert.rejects(dryRun({ path: 'user/me', headers: { Host: 'evil.example' } }), /Host header cannot be set/);
+  });
+
+  test('logs every blocked request', async () => {
+    await assert.rejects(dryRun({ path: 'service/../admin', skipValidation: true }));
+
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments[0], /Blocked GET service\/\.\.\/admin/);
+  });
+
+  test('strict mode only allows declared routes and the allowlist', async () => {
+    CONFIG.strictMode = true;
+    CONFIG.allowedPaths = parseAllowedPaths('GET beta/*, stats/**');
+
+    await assert.rejects(dryRun({ path: 'internal/users', skipValidation: true }), /strict mode only allows/);
+    await assert.rejects(dryRun({ method: 'POST', path: 'beta/feature', skipValidation: true }), /strict mode only allows/);
+    await assert.rejects(dryRun({ path: 'beta/a/b', skipValidation: true }), /strict mode only allows/);
+
+    assert.equal((await dryRun({ path: 'user/me' })).dryRun, true);
+    assert.equal((await dryRun({ path: 'beta/feature', skipValidation: true })).dryRun, true);
+    assert.equal((await dryRun({ method: 'POST', path: '/api/stats/daily/totals', skipValidation: true })).dryRun, true);
+  });
+
+  test('leaves undeclared routes to skipValidation outside strict mode', async () => {
+    const result = await dryRun({ path: 'internal/users', skipValidation: true });
+
+    assert.equal(result.request.url, `${CONFIG.baseUrl}/api/internal/users`);
+    assert.equal(logged.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,67 @@
+import './helpers/env.mjs';
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG, buildUrl, normalizeApiPrefix, normalizeRelativePath } from '../src/server.mjs';
+
+const originalPrefix = CONFIG.apiPrefix;
+
+afterEach(() => {
+  CONFIG.apiPrefix = originalPrefix;
+});
+
+describe('normalizeApiPrefix', () => {
+  test('adds a leading slash and drops a trailing one', () => {
+    assert.equal(normalizeApiPrefix('api/'), '/api');
+    assert.equal(normalizeApiPrefix('/v2/api/'), '/v2/api');
+  });
+
+  test('keeps a bare slash and falls back to /api when empty', () => {
+    assert.equal(normalizeApiPrefix('/'), '/');
+    assert.equal(normalizeApiPrefix(''), '/api');
+  });
+});
+
+describe('normalizeRelativePath', () => {
+  test('strips the configured prefix', () => {
+    assert.equal(normalizeRelativePath('/api/user/me'), '/user/me');
+    assert.equal(normalizeRelativePath('api/user/me'), '/user/me');
+    assert.equal(normalizeRelativePath('/api'), '/');
+  });
+
+  test('leaves paths that only share the prefix characters alone', () => {
+    assert.equal(normalizeRelativePath('/apiary/hives'), '/apiary/hives');
+    assert.equal(normalizeRelativePath('user/me'), '/user/me');
+  });
+
+  test('does not strip anything when the prefix is the root', () => {
+    CONFIG.apiPrefix = '/';
+    assert.equal(normalizeRelativePath('/user/me'), '/user/me');
+  });
+});
+
+describe('buildUrl', () => {
+  test('prefixes the path exactly once', () => {
+    assert.equal(buildUrl('/api/user/me').pathname, '/api/user/me');
+    assert.equal(buildUrl('user/me').pathname, '/api/user/me');
+    assert.equal(buildUrl('/apiary').pathname, '/api/apiary');
+  });
+
+  test('does not double the slash under a root prefix', () => {
+    CONFIG.apiPrefix = '/';
+    assert.equal(buildUrl('/user/me').pathname, '/user/me');
+  });
+
+  test('repeats array query parameters', () => {
+    const url = buildUrl('/coloring-page', { 'status[]': ['done', 'new'], page: 2 });
+    assert.deepEqual(url.searchParams.getAll('status[]'), ['done', 'new']);
+    assert.equal(url.searchParams.get('page'), '2');
+  });
+
+  test('encodes booleans as 1 and 0 and skips empty values', () => {
+    const url = buildUrl('/coloring-page', { favorite: true, public: false, search: null, tag: undefined });
+    assert.equal(url.searchParams.get('favorite'), '1');
+    assert.equal(url.searchParams.get('public'), '0');
+    assert.equal(url.searchParams.has('search'), false);
+    assert.equal(url.searchParams.has('tag'), false);
+  });
+});